@@ -0,0 +1,201 @@
+'use strict';
+
+// post engagement: views, likes, and the popular posts ranked by them.
+//
+// a view counts once per visitor and post within each
+// `ANALYTICS.viewWindowMs`, so reloading a page doesn't add up. the
+// windows are fixed slices of time, not sliding ones: a PostView with a
+// unique (post, visitor, window) index marks a visitor as seen, and the
+// first request to insert it is the one that counts. likes are one
+// PostLike per user and post, made and removed the same way.
+//
+// every view and like also goes into the post's PostStat of the day,
+// which is what rankings and stats are read from. those are only ever
+// changed with `$inc`, so concurrent requests can't lose each other's
+// counts.
+
+const crypto = require('crypto');
+
+const { ANALYTICS } = require('./config');
+const { BlogPost, PostView, PostLike, PostStat } = require('./models');
+const { BadRequestError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DUPLICATE_KEY = 11000;
+
+function startOfDay(date) {
+  return new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+}
+
+// the number of days in a `window` like "7d", checked against
+// `ANALYTICS.maxWindowDays`
+function windowDays(window) {
+  const days = parseInt(window, 10);
+  if (days > ANALYTICS.maxWindowDays) {
+    throw new BadRequestError(`\`window\` can be at most ${ANALYTICS.maxWindowDays}d`);
+  }
+  return days;
+}
+
+// the first day of a window of `days` days, today being the last one
+function windowStart(days) {
+  return startOfDay(new Date(Date.now() - (days - 1) * DAY_MS));
+}
+
+// who is looking: the user when signed in, otherwise the IP address and
+// user agent. hashed, so what's stored gives neither away.
+function visitorKey(req) {
+  const key = req.user
+    ? `user:${req.user._id}`
+    : `ip:${req.ip}:${req.get('User-Agent') || ''}`;
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// adds `changes` to today's stats of the post
+function bumpStats(postId, changes) {
+  const conditions = { post: postId, day: startOfDay(new Date()) };
+  const update = { $inc: changes };
+  return PostStat
+    .update(conditions, update, { upsert: true })
+    .catch(err => {
+      // another request made today's document in the meantime
+      if (err.code === DUPLICATE_KEY) {
+        return PostStat.update(conditions, update);
+      }
+      throw err;
+    });
+}
+
+// counts a view of `post`, unless the visitor behind `req` has already
+// been counted in this window. only published posts are counted. never
+// rejects: a view that couldn't be counted is logged and left at that.
+function recordView(post, req) {
+  if (post.status !== 'published') {
+    return Promise.resolve(false);
+  }
+
+  const window = Math.floor(Date.now() / ANALYTICS.viewWindowMs);
+  return PostView
+    .findOneAndUpdate(
+      { post: post._id, visitor: visitorKey(req), window },
+      { $setOnInsert: { expiresAt: new Date((window + 1) * ANALYTICS.viewWindowMs) } },
+      { upsert: true })
+    // an existing view comes back; a new one doesn't
+    .then(seen => (seen ? false : bumpStats(post._id, { views: 1 }).then(() => true)))
+    .catch(err => {
+      if (err.code !== DUPLICATE_KEY) {
+        console.error(err);
+      }
+      return false;
+    });
+}
+
+function likeCount(post) {
+  return PostLike.count({ post: post._id });
+}
+
+// liking a post twice, or unliking one that isn't liked, changes nothing
+function likePost(post, user) {
+  return PostLike
+    .findOneAndUpdate(
+      { post: post._id, user: user._id },
+      { $setOnInsert: { created: new Date() } },
+      { upsert: true })
+    .then(
+      existing => (existing ? null : bumpStats(post._id, { likes: 1 })),
+      err => {
+        if (err.code !== DUPLICATE_KEY) {
+          throw err;
+        }
+      })
+    .then(() => likeCount(post))
+    .then(likes => ({ liked: true, likes }));
+}
+
+function unlikePost(post, user) {
+  return PostLike
+    .findOneAndRemove({ post: post._id, user: user._id })
+    .then(removed => (removed ? bumpStats(post._id, { likes: -1 }) : null))
+    .then(() => likeCount(post))
+    .then(likes => ({ liked: false, likes }));
+}
+
+// the posts `user` can see with the most engagement over the last
+// `days` days, at most `limit` of them, as `{ post, views, likes, score }`
+// where the score weighs views and likes by `ANALYTICS.weights`. the
+// ranking is read `limit` posts at a time, and only read on while posts
+// the user can't see leave the result short.
+function popularPosts(days, user, limit) {
+  const { weights } = ANALYTICS;
+  const ranking = [
+    { $match: { day: { $gte: windowStart(days) } } },
+    { $group: { _id: '$post', views: { $sum: '$views' }, likes: { $sum: '$likes' } } },
+    {
+      $project: {
+        views: 1,
+        likes: 1,
+        score: {
+          $add: [
+            { $multiply: ['$views', weights.views] },
+            { $multiply: ['$likes', weights.likes] }
+          ]
+        }
+      }
+    },
+    { $match: { score: { $gt: 0 } } },
+    { $sort: { score: -1, _id: -1 } }
+  ];
+  const found = [];
+
+  const readFrom = skip => PostStat
+    .aggregate(ranking.concat([{ $skip: skip }, { $limit: limit }]))
+    .then(entries => BlogPost
+      .find({
+        $and: [{ _id: { $in: entries.map(entry => entry._id) } }].concat(BlogPost.visibleTo(user))
+      })
+      .then(posts => {
+        const byId = new Map(posts.map(post => [String(post._id), post]));
+        entries
+          .filter(entry => byId.has(String(entry._id)))
+          .forEach(({ _id, views, likes, score }) => {
+            found.push({ post: byId.get(String(_id)), views, likes, score });
+          });
+        if (found.length >= limit || entries.length < limit) {
+          return found.slice(0, limit);
+        }
+        return readFrom(skip + limit);
+      }));
+
+  return readFrom(0);
+}
+
+// the views and likes of `post` overall, and day by day over the last
+// `days` days. days without any are left out.
+function postStats(post, days) {
+  const since = windowStart(days);
+  return Promise
+    .all([
+      PostStat.aggregate([
+        { $match: { post: post._id } },
+        { $group: { _id: '$day', views: { $sum: '$views' }, likes: { $sum: '$likes' } } },
+        { $sort: { _id: 1 } }
+      ]),
+      likeCount(post)
+    ])
+    .then(([daily, likes]) => ({
+      postId: post._id,
+      views: daily.reduce((total, day) => total + day.views, 0),
+      likes,
+      days: daily
+        .filter(day => day._id >= since)
+        .map(day => ({
+          date: day._id.toISOString().slice(0, 10),
+          views: day.views,
+          likes: day.likes
+        }))
+    }));
+}
+
+module.exports = {
+  windowDays, recordView, likePost, unlikePost, popularPosts, postStats
+};
@@ -0,0 +1,78 @@
+'use strict';
+
+const express = require('express');
+
+const { API_PREFIX, LEGACY_API_DEPRECATED_AT, LEGACY_API_SUNSET } = require('./config');
+const authRouter = require('./authRouter');
+const authorsRouter = require('./authorsRouter');
+const usersRouter = require('./usersRouter');
+const categoriesRouter = require('./categoriesRouter');
+const tagsRouter = require('./tagsRouter');
+const webhooksRouter = require('./webhooksRouter');
+const graphqlRouter = require('./graphqlRouter');
+const docsRouter = require('./docsRouter');
+const feedsRouter = require('./feedsRouter');
+const postsRouter = require('./postsRouter');
+const commentsRouter = require('./commentsRouter');
+
+// the whole API. server.js serves it at `API_PREFIX`, and at the root
+// for clients from before the API was versioned.
+const router = express.Router();
+
+// mount paths and routers, in the order requests try them. the comments
+// come after the post routes, so that a post slugged "comments" isn't
+// taken for a comment listing.
+const ROUTERS = [
+  ['/auth', authRouter],
+  ['/authors', authorsRouter],
+  ['/users', usersRouter],
+  ['/categories', categoriesRouter],
+  ['/tags', tagsRouter],
+  ['/webhooks', webhooksRouter],
+  ['/graphql', graphqlRouter],
+  ['', docsRouter],
+  ['', feedsRouter],
+  ['', postsRouter],
+  ['/posts/:id/comments', commentsRouter]
+];
+
+ROUTERS.forEach(([path, subRouter]) => {
+  if (path) {
+    router.use(path, subRouter);
+  } else {
+    router.use(subRouter);
+  }
+});
+
+// every route of the API as `METHOD /path`, the way schemas.js names them
+function listRoutes() {
+  const names = [];
+  ROUTERS.forEach(([mountPath, subRouter]) => {
+    subRouter.stack
+      .filter(layer => layer.route)
+      .forEach(({ route }) => {
+        const path = route.path === '/' && mountPath ? mountPath : `${mountPath}${route.path}`;
+        Object.keys(route.methods).forEach(method => {
+          names.push(`${method === '_all' ? 'ALL' : method.toUpperCase()} ${path}`);
+        });
+      });
+  });
+  return names;
+}
+
+// for the unversioned paths: marks the response as deprecated
+// (RFC 9745) and links to the same resource under `API_PREFIX`
+function deprecated(req, res, next) {
+  if (!req.path.startsWith(`${API_PREFIX}/`)) {
+    res.set({
+      'Deprecation': `@${Math.floor(LEGACY_API_DEPRECATED_AT.getTime() / 1000)}`,
+      'Link': `<${API_PREFIX}${req.path}>; rel="successor-version"`
+    });
+    if (LEGACY_API_SUNSET) {
+      res.set('Sunset', LEGACY_API_SUNSET.toUTCString());
+    }
+  }
+  next();
+}
+
+module.exports = { router, listRoutes, deprecated };
@@ -0,0 +1,102 @@
+'use strict';
+
+// receiving uploaded files for posts. uploads are multipart requests with
+// the file in a `file` field; they're held in memory (up to
+// `MAX_UPLOAD_BYTES`), checked, and handed to the storage backend.
+
+const path = require('path');
+const multer = require('multer');
+const uuid = require('uuid');
+
+const { MAX_UPLOAD_BYTES } = require('./config');
+const { BadRequestError, HttpError } = require('./errors');
+const { getStorage } = require('./storage');
+
+function startsWith(bytes, signature, offset = 0) {
+  return bytes.slice(offset, offset + signature.length).equals(signature);
+}
+
+// the types we accept, with the extension files are stored under and a
+// check of the signature their content starts with, since the declared
+// type is whatever the client says it is
+const ALLOWED_TYPES = {
+  'image/jpeg': {
+    extension: '.jpg',
+    matches: bytes => startsWith(bytes, Buffer.from([0xff, 0xd8, 0xff]))
+  },
+  'image/png': {
+    extension: '.png',
+    matches: bytes => startsWith(bytes, Buffer.from('89504e470d0a1a0a', 'hex'))
+  },
+  'image/gif': {
+    extension: '.gif',
+    matches: bytes => startsWith(bytes, Buffer.from('GIF8'))
+  },
+  'image/webp': {
+    extension: '.webp',
+    matches: bytes => startsWith(bytes, Buffer.from('RIFF')) &&
+      startsWith(bytes, Buffer.from('WEBP'), 8)
+  },
+  'application/pdf': {
+    extension: '.pdf',
+    matches: bytes => startsWith(bytes, Buffer.from('%PDF-'))
+  }
+};
+
+const receiveFile = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+}).single('file');
+
+// route middleware parsing the upload onto `req.file`, failing with a
+// 413 when the file is too large and a 400 for anything else amiss
+function upload(req, res, next) {
+  receiveFile(req, res, err => {
+    if (!err) {
+      return next();
+    }
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return next(new HttpError(413, `Files can be at most ${MAX_UPLOAD_BYTES} bytes`));
+    }
+    if (err instanceof multer.MulterError) {
+      return next(new BadRequestError(err.message));
+    }
+    next(err);
+  });
+}
+
+function checkFile(file) {
+  if (!file) {
+    throw new BadRequestError('Missing `file` in request body');
+  }
+  const type = ALLOWED_TYPES[file.mimetype];
+  if (!type) {
+    throw new BadRequestError(
+      `\`${file.mimetype}\` files aren't allowed; use one of: ${Object.keys(ALLOWED_TYPES).join(', ')}`);
+  }
+  if (!type.matches(file.buffer)) {
+    throw new BadRequestError(`The file's content isn't ${file.mimetype}`);
+  }
+  return type;
+}
+
+// checks and stores an uploaded file and resolves with the attachment
+// fields to record on the post
+function storeFile(post, file, kind) {
+  return Promise.resolve()
+    .then(() => {
+      const type = checkFile(file);
+      const key = `${post._id}/${uuid.v4()}${type.extension}`;
+      return getStorage()
+        .save(key, file.buffer, file.mimetype)
+        .then(() => ({
+          key,
+          filename: path.basename(file.originalname),
+          contentType: file.mimetype,
+          size: file.size,
+          kind
+        }));
+    });
+}
+
+module.exports = { ALLOWED_TYPES, upload, storeFile };
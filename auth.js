@@ -0,0 +1,79 @@
+'use strict';
+
+const jwt = require('jsonwebtoken');
+
+const { JWT_SECRET, JWT_EXPIRY } = require('./config');
+const { UnauthorizedError } = require('./errors');
+const { User } = require('./models');
+const { requirePermission } = require('./permissions');
+
+function createAuthToken(user) {
+  return jwt.sign({ username: user.username }, JWT_SECRET, {
+    subject: String(user._id),
+    expiresIn: JWT_EXPIRY,
+    algorithm: 'HS256'
+  });
+}
+
+// pulls the token out of an `Authorization: Bearer <token>` header
+function bearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+// the id of the user a token was issued to, or null when the token is
+// invalid or expired. this only checks the signature; the user may be gone.
+function tokenSubject(token) {
+  try {
+    return jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] }).sub;
+  } catch (err) {
+    return null;
+  }
+}
+
+// resolves with the user a token was issued to, or null when the token
+// is invalid, expired or its user is gone
+function userForToken(token) {
+  const userId = tokenSubject(token);
+  return userId ? User.findById(userId) : Promise.resolve(null);
+}
+
+// rejects the request with a 401 unless it carries a valid token for a
+// user that still exists. on success the user document is `req.user`.
+function requireAuth(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) {
+    return next(new UnauthorizedError('Missing bearer token'));
+  }
+
+  userForToken(token)
+    .then(user => {
+      if (!user) {
+        throw new UnauthorizedError('Invalid or expired token');
+      }
+      req.user = user;
+      next();
+    })
+    .catch(next);
+}
+
+// for routes anyone may call but whose answer depends on who is asking:
+// anonymous requests pass through without `req.user`, while a token that
+// is present still has to be valid
+function optionalAuth(req, res, next) {
+  if (!bearerToken(req)) {
+    return next();
+  }
+  requireAuth(req, res, next);
+}
+
+// the usual guard for a write route: a valid token for a user whose role
+// grants `permission`
+function authorize(permission) {
+  return [requireAuth, requirePermission(permission)];
+}
+
+module.exports = {
+  createAuthToken, bearerToken, tokenSubject, requireAuth, optionalAuth, authorize
+};
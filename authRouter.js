@@ -0,0 +1,58 @@
+'use strict';
+
+const express = require('express');
+
+const { User } = require('./models');
+const { createAuthToken, requireAuth } = require('./auth');
+const { BadRequestError, UnauthorizedError } = require('./errors');
+const { validate } = require('./validation');
+const { routeRateLimit } = require('./rateLimit');
+
+const router = express.Router();
+
+router.post('/register', routeRateLimit('POST /auth/register'), validate('POST /auth/register'),
+  (req, res, next) => {
+  const { username, password, firstName = '', lastName = '' } = req.body;
+
+  User
+    .findOne({ username })
+    .then(existing => {
+      if (existing) {
+        throw new BadRequestError('Username already taken');
+      }
+
+      return User
+        .hashPassword(password)
+        .then(hash => User.create({ username, password: hash, firstName, lastName }))
+        .then(user => res.status(201).json({
+          authToken: createAuthToken(user),
+          user: user.serialize()
+        }));
+    })
+    .catch(next);
+});
+
+router.post('/login', routeRateLimit('POST /auth/login'), validate('POST /auth/login'),
+  (req, res, next) => {
+  const { username, password } = req.body;
+
+  User
+    .findOne({ username })
+    .then(user => Promise.all([user, user ? user.validatePassword(password) : false]))
+    .then(([user, isValid]) => {
+      // same answer for an unknown user and a wrong password, so the
+      // endpoint can't be used to probe for usernames
+      if (!isValid) {
+        throw new UnauthorizedError('Incorrect username or password');
+      }
+      res.json({ authToken: createAuthToken(user) });
+    })
+    .catch(next);
+});
+
+// trades a still-valid token for a fresh one
+router.post('/refresh', requireAuth, validate('POST /auth/refresh'), (req, res) => {
+  res.json({ authToken: createAuthToken(req.user) });
+});
+
+module.exports = router;
@@ -0,0 +1,109 @@
+'use strict';
+
+const express = require('express');
+
+const { Author, BlogPost } = require('./models');
+const { authorize } = require('./auth');
+const { BadRequestError, ConflictError, NotFoundError } = require('./errors');
+const { validate } = require('./validation');
+
+const router = express.Router();
+
+router.get('/', validate('GET /authors'), (req, res, next) => {
+  Author
+    .find()
+    .sort({ lastName: 1, firstName: 1 })
+    .then(authors => res.json(authors.map(author => author.serialize())))
+    .catch(next);
+});
+
+router.get('/:id', validate('GET /authors/:id'), (req, res, next) => {
+  Author
+    .findById(req.params.id)
+    .then(author => {
+      if (!author) {
+        throw new NotFoundError('Author not found');
+      }
+      res.json(author.serialize());
+    })
+    .catch(next);
+});
+
+router.post('/', authorize('authors:create'), validate('POST /authors'), (req, res, next) => {
+  Author
+    .findOne({ username: req.body.username })
+    .then(existing => {
+      if (existing) {
+        throw new BadRequestError('Username already taken');
+      }
+
+      return Author
+        .create({
+          firstName: req.body.firstName,
+          lastName: req.body.lastName,
+          username: req.body.username
+        })
+        .then(author => res.status(201).json(author.serialize()));
+    })
+    .catch(next);
+});
+
+router.put('/:id', authorize('authors:update'), validate('PUT /authors/:id'), (req, res, next) => {
+  if (req.params.id !== req.body.id) {
+    return next(new BadRequestError(
+      'Request path id and request body id values must match'));
+  }
+
+  const updated = {};
+  const updateableFields = ['firstName', 'lastName', 'username'];
+  updateableFields.forEach(field => {
+    if (field in req.body) {
+      updated[field] = req.body[field];
+    }
+  });
+
+  const usernameTaken = 'username' in updated
+    ? Author.findOne({ username: updated.username, _id: { $ne: req.params.id } })
+    : Promise.resolve(null);
+
+  usernameTaken
+    .then(existing => {
+      if (existing) {
+        throw new BadRequestError('Username already taken');
+      }
+
+      return Author
+        .findByIdAndUpdate(req.params.id, { $set: updated }, { new: true })
+        .then(author => {
+          if (!author) {
+            throw new NotFoundError('Author not found');
+          }
+          res.status(200).json(author.serialize());
+        });
+    })
+    .catch(next);
+});
+
+// an author can only go once nothing points at them any more, otherwise
+// their posts would be left without a byline
+router.delete('/:id', authorize('authors:delete'), validate('DELETE /authors/:id'),
+  (req, res, next) => {
+  BlogPost
+    .count({ author: req.params.id })
+    .then(count => {
+      if (count > 0) {
+        throw new ConflictError(
+          `Author still has ${count} post(s); delete or reassign them first`);
+      }
+
+      return Author
+        .findByIdAndRemove(req.params.id)
+        .then(() => {
+          console.log(`Deleted author with id \`${req.params.id}\``);
+          res.status(204).end();
+        });
+    })
+    .catch(next);
+});
+
+module.exports = router;
@@ -0,0 +1,78 @@
+'use strict';
+
+// HTTP caching for the post routes. responses carry a strong `ETag`, and a
+// `Last-Modified` where there is one, so that clients can revalidate with
+// `If-None-Match` or `If-Modified-Since` and get an empty 304 back. on
+// writes, `If-Match` makes sure the client has seen the post as it is
+// now, so two editors can't overwrite each other's changes unawares.
+
+const crypto = require('crypto');
+
+const { CACHE_MAX_AGE } = require('./config');
+const { PreconditionFailedError } = require('./errors');
+
+function strongETag(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+}
+
+// the version of a post: the ETag of `GET /posts/:id` without `include`
+// or `format`, which changes whenever the content, the update time or
+// anything else about the post the API shows does
+function postETag(post) {
+  return strongETag(JSON.stringify(post.serialize()));
+}
+
+// anonymous readers only ever get published posts, which shared caches
+// may keep for a while; what a signed-in user gets may include drafts,
+// so it's theirs alone and revalidated every time. so are responses that
+// have to reach the server every time, see `sendJson`.
+function cacheControl(req, shared) {
+  return req.user || !shared ? 'private, no-cache' : `public, max-age=${CACHE_MAX_AGE}`;
+}
+
+// answers with `data` as JSON, or with an empty 304 when the request's
+// validators show the client already has it. `lastModified` is left out
+// for responses that can change without it moving. options:
+//
+//   shared   false keeps the response out of shared caches, even for
+//            anonymous readers
+//   onSent   called once the response has gone out, unless it's a 304.
+//            the response doesn't wait for whatever it starts.
+function sendJson(req, res, data, lastModified, options = {}) {
+  const { shared = true, onSent } = options;
+  const body = JSON.stringify(data);
+  res.set({
+    'ETag': strongETag(body),
+    'Cache-Control': cacheControl(req, shared)
+  });
+  res.vary('Authorization');
+  if (lastModified) {
+    res.set('Last-Modified', lastModified.toUTCString());
+  }
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.type('json').send(body);
+  if (onSent) {
+    onSent();
+  }
+}
+
+// fails the request with a 412 when its `If-Match` names some other
+// version of `req.post` than the current one. requests without the
+// header go through. runs after `requireOwnPost`.
+function checkIfMatch(req, res, next) {
+  const header = req.get('If-Match');
+  if (!header) {
+    return next();
+  }
+  const etag = postETag(req.post);
+  const given = header.split(',').map(tag => tag.trim());
+  if (given.includes('*') || given.includes(etag)) {
+    return next();
+  }
+  next(new PreconditionFailedError(
+    'The post has changed since it was fetched; fetch it again and retry', { etag }));
+}
+
+module.exports = { postETag, sendJson, checkIfMatch };
@@ -0,0 +1,105 @@
+'use strict';
+
+const express = require('express');
+
+const { BlogPost, Category } = require('./models');
+const { authorize } = require('./auth');
+const { BadRequestError, ConflictError, NotFoundError } = require('./errors');
+const { slugify } = require('./slugify');
+const { validate } = require('./validation');
+
+const router = express.Router();
+
+// two names that slugify the same ("C++" and "C") would collide on the
+// unique slug, so that's checked up front for a readable error
+function checkSlugAvailable(name, exceptId) {
+  const conditions = { slug: slugify(name) };
+  if (exceptId) {
+    conditions._id = { $ne: exceptId };
+  }
+  return Category
+    .findOne(conditions)
+    .then(existing => {
+      if (existing) {
+        throw new BadRequestError(`Category \`${existing.name}\` already exists`);
+      }
+    });
+}
+
+router.get('/', validate('GET /categories'), (req, res, next) => {
+  Category
+    .find()
+    .sort({ name: 1 })
+    .then(categories => res.json(categories.map(category => category.serialize())))
+    .catch(next);
+});
+
+router.get('/:id', validate('GET /categories/:id'), (req, res, next) => {
+  Category
+    .findById(req.params.id)
+    .then(category => {
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+      res.json(category.serialize());
+    })
+    .catch(next);
+});
+
+router.post('/', authorize('categories:manage'), validate('POST /categories'),
+  (req, res, next) => {
+  checkSlugAvailable(req.body.name)
+    .then(() => Category.create({
+      name: req.body.name,
+      description: req.body.description
+    }))
+    .then(category => res.status(201).json(category.serialize()))
+    .catch(next);
+});
+
+router.put('/:id', authorize('categories:manage'), validate('PUT /categories/:id'),
+  (req, res, next) => {
+  if (req.params.id !== req.body.id) {
+    return next(new BadRequestError(
+      'Request path id and request body id values must match'));
+  }
+
+  const slugCheck = 'name' in req.body
+    ? checkSlugAvailable(req.body.name, req.params.id)
+    : Promise.resolve();
+
+  slugCheck
+    .then(() => Category.findById(req.params.id))
+    .then(category => {
+      if (!category) {
+        throw new NotFoundError('Category not found');
+      }
+      ['name', 'description'].forEach(field => {
+        if (field in req.body) {
+          category[field] = req.body[field];
+        }
+      });
+      // saved rather than updated in place so the slug follows the name
+      return category.save();
+    })
+    .then(category => res.json(category.serialize()))
+    .catch(next);
+});
+
+// like authors, a category can only go once no post is filed under it
+router.delete('/:id', authorize('categories:manage'), validate('DELETE /categories/:id'),
+  (req, res, next) => {
+  BlogPost
+    .count({ category: req.params.id })
+    .then(count => {
+      if (count > 0) {
+        throw new ConflictError(
+          `Category still has ${count} post(s); move them to another category first`);
+      }
+      return Category.findByIdAndRemove(req.params.id);
+    })
+    .then(() => res.status(204).end())
+    .catch(next);
+});
+
+module.exports = router;
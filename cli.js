@@ -0,0 +1,332 @@
+'use strict';
+
+// bulk import and export of posts, in any of the formats postIO.js
+// knows: json, ndjson, csv and a directory of Markdown files.
+//
+//     node cli.js import seed-data.json
+//     node cli.js import posts/ --dry-run
+//     node cli.js export posts.csv --status published
+//
+// the format comes from the file name unless given with --format.
+// imported posts replace the existing post with the same slug or, failing
+// that, the same title, and every change is recorded as a revision like
+// an edit through the API. authors are found by username or name and
+// created when missing; categories are given by slug and must exist.
+// records that can't be imported are reported one by one and the rest
+// are imported anyway.
+//
+// it also makes the first admin: accounts sign up as readers and only an
+// admin can change roles, so somebody has to be made one from here.
+//
+//     node cli.js make-admin ada
+
+const mongoose = require('mongoose');
+mongoose.Promise = global.Promise;
+
+const { DATABASE_URL } = require('./config');
+const { Author, BlogPost, Category, User, POST_STATUSES } = require('./models');
+const { FORMATS, detectFormat, readPosts, writePosts } = require('./postIO');
+const { REVISIONED_FIELDS, savePostRevision, recordInitialRevision } = require('./revisions');
+const { uniqueUsername } = require('./migrate-authors');
+
+const USAGE = `usage: node cli.js import <file or directory> [--format <format>] [--dry-run]
+       node cli.js export <file or directory> [--format <format>] [--status <status>]
+       node cli.js make-admin <username>
+
+formats: ${FORMATS.join(', ')}
+statuses: ${POST_STATUSES.join(', ')}`;
+
+// set directly when a post is updated; the `REVISIONED_FIELDS` go
+// through `savePostRevision`
+const OTHER_FIELDS = ['status', 'created', 'publishAt', 'publishedAt'];
+
+// a record's author is either a username or `{username, firstName,
+// lastName}`. resolves with the existing Author or, when there is none,
+// a new one that hasn't been saved yet; null when the record has none.
+function findAuthor(author) {
+  if (!author) {
+    return Promise.resolve(null);
+  }
+  const { username, firstName, lastName } =
+    typeof author === 'string' ? { username: author } : author;
+
+  return (username ? Author.findOne({ username }) : Promise.resolve(null))
+    .then(found => {
+      if (found || !firstName || !lastName) {
+        return found;
+      }
+      return Author.findOne({ firstName, lastName });
+    })
+    .then(found => {
+      if (found) {
+        return found;
+      }
+      if (!firstName || !lastName) {
+        throw new Error(`author: no author \`${username}\`; give a first and last name to create one`);
+      }
+      return (username ? Promise.resolve(username) : uniqueUsername(firstName, lastName))
+        .then(name => new Author({ firstName, lastName, username: name }));
+    });
+}
+
+function findCategory(slug) {
+  if (!slug) {
+    return Promise.resolve(null);
+  }
+  return Category
+    .findOne({ slug })
+    .then(category => {
+      if (!category) {
+        throw new Error(`category: no category \`${slug}\``);
+      }
+      return category;
+    });
+}
+
+// the post a record stands for, if it's been imported before
+function findExisting(record) {
+  const bySlug = record.slug ?
+    BlogPost.findOne({ $or: [{ slug: record.slug }, { slugHistory: record.slug }] }) :
+    Promise.resolve(null);
+  return bySlug.then(post => post || (record.title ? BlogPost.findOne({ title: record.title }) : null));
+}
+
+// the record as BlogPost fields, leaving out the ones it doesn't give
+function postFields(record, author, category) {
+  const fields = author ? { author: author._id } : {};
+  ['title', 'content'].concat(OTHER_FIELDS).forEach(field => {
+    if (record[field] !== undefined) {
+      fields[field] = record[field];
+    }
+  });
+  if (record.tags !== undefined) {
+    const tags = typeof record.tags === 'string' ? record.tags.split(',') : [].concat(record.tags);
+    fields.tags = BlogPost.normalizeTags(tags.map(String));
+  }
+  if (record.category !== undefined) {
+    fields.category = category ? category._id : null;
+  }
+  return fields;
+}
+
+function describeError(err) {
+  if (err.name === 'ValidationError') {
+    return Object.keys(err.errors)
+      .map(path => `${path}: ${err.errors[path].message}`)
+      .join('; ');
+  }
+  return err.message;
+}
+
+function updatePost(post, fields) {
+  const changes = {};
+  Object.keys(fields).forEach(field => {
+    if (REVISIONED_FIELDS.includes(field)) {
+      changes[field] = fields[field];
+    } else {
+      post[field] = fields[field];
+    }
+  });
+  return savePostRevision(post, changes, null)
+    .then(({ revision }) => {
+      if (revision) {
+        return 'updated';
+      }
+      // only fields outside the revision history changed, if any
+      if (!post.isModified()) {
+        return 'unchanged';
+      }
+      return post.save().then(() => 'updated');
+    });
+}
+
+// resolves with 'created', 'updated' or 'unchanged'
+function importRecord(record, dryRun) {
+  return Promise
+    .all([findAuthor(record.author), findCategory(record.category), findExisting(record)])
+    .then(([author, category, existing]) => {
+      if (!author && !existing) {
+        throw new Error('author: new posts need an author');
+      }
+      const isNewAuthor = Boolean(author && author.isNew);
+      const fields = postFields(record, author, category);
+      // checked against the schema as a whole before anything is saved
+      const candidate = new BlogPost(Object.assign({}, existing ? {
+        author: existing.authorId,
+        title: existing.title,
+        content: existing.content,
+        status: existing.status
+      } : {}, fields));
+
+      return Promise
+        .all([candidate.validate(), isNewAuthor ? author.validate() : null])
+        .then(() => {
+          if (dryRun) {
+            return existing ? 'updated' : 'created';
+          }
+          return (isNewAuthor ? author.save() : Promise.resolve())
+            .then(() => {
+              if (existing) {
+                return updatePost(existing, fields);
+              }
+              return candidate
+                .saveWithSlug()
+                .then(post => recordInitialRevision(post, null))
+                .then(() => 'created');
+            });
+        });
+    });
+}
+
+// imports `entries` as read by `readPosts`, one at a time so that a
+// record can update a post an earlier one created. resolves with
+// `{created, updated, unchanged, failed}`, `failed` being a list of
+// `{source, error}`.
+function importPosts(entries, { dryRun = false } = {}) {
+  const report = { created: 0, updated: 0, unchanged: 0, failed: [] };
+  return entries
+    .reduce((chain, entry) => chain.then(() => {
+      if (entry.error) {
+        report.failed.push({ source: entry.source, error: entry.error });
+        return;
+      }
+      return importRecord(entry.record, dryRun)
+        .then(outcome => {
+          report[outcome]++;
+        })
+        .catch(err => {
+          report.failed.push({ source: entry.source, error: describeError(err) });
+        });
+    }), Promise.resolve())
+    .then(() => report);
+}
+
+function toRecord(post, categorySlugs) {
+  const author = post.author && post.author.username ? {
+    username: post.author.username,
+    firstName: post.author.firstName,
+    lastName: post.author.lastName
+  } : null;
+  return {
+    title: post.title,
+    slug: post.slug,
+    author,
+    status: post.status,
+    tags: post.tags.slice(),
+    category: post.category ? categorySlugs[post.category] : null,
+    created: post.created,
+    publishAt: post.publishAt,
+    publishedAt: post.publishedAt,
+    content: post.content
+  };
+}
+
+// resolves with every post that isn't in the trash, oldest first, as
+// records for `writePosts`. `status` limits them to one status.
+function exportPosts({ status } = {}) {
+  const conditions = { deletedAt: null };
+  if (status) {
+    conditions.status = status;
+  }
+  return Promise
+    .all([BlogPost.find(conditions).sort({ created: 1, _id: 1 }), Category.find()])
+    .then(([posts, categories]) => {
+      const categorySlugs = {};
+      categories.forEach(category => {
+        categorySlugs[category._id] = category.slug;
+      });
+      return posts.map(post => toRecord(post, categorySlugs));
+    });
+}
+
+// resolves with the user `username`, now an admin
+function makeAdmin(username) {
+  return User
+    .findOneAndUpdate({ username }, { $set: { role: 'admin' } }, { new: true })
+    .then(user => {
+      if (!user) {
+        throw new Error(`No user \`${username}\``);
+      }
+      return user;
+    });
+}
+
+function parseArgs(argv) {
+  const [command, location, ...rest] = argv;
+  const options = { command, location };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--dry-run') {
+      options.dryRun = true;
+    } else if (rest[i] === '--format' || rest[i] === '--status') {
+      options[rest[i].slice(2)] = rest[++i];
+    } else {
+      throw new Error(`Unknown option \`${rest[i]}\``);
+    }
+  }
+  if (!COMMANDS[command] || !location) {
+    throw new Error('Missing command or argument');
+  }
+  if (options.format && !FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format \`${options.format}\``);
+  }
+  if (options.status && !POST_STATUSES.includes(options.status)) {
+    throw new Error(`Unknown status \`${options.status}\``);
+  }
+  return options;
+}
+
+function runImport(options, format) {
+  return readPosts(format, options.location)
+    .then(entries => importPosts(entries, options))
+    .then(report => {
+      report.failed.forEach(({ source, error }) => console.error(`${source}: ${error}`));
+      const verb = options.dryRun ? 'Would import' : 'Imported';
+      console.log(`${verb} ${report.created + report.updated + report.unchanged} post(s): ` +
+        `${report.created} created, ${report.updated} updated, ` +
+        `${report.unchanged} unchanged; ${report.failed.length} failed`);
+      if (report.failed.length > 0) {
+        process.exitCode = 1;
+      }
+    });
+}
+
+function runExport(options, format) {
+  return exportPosts(options)
+    .then(records => writePosts(format, options.location, records)
+      .then(() => console.log(`Exported ${records.length} post(s) to ${options.location}`)));
+}
+
+function runMakeAdmin(options) {
+  return makeAdmin(options.location)
+    .then(user => console.log(`${user.username} is now an admin`));
+}
+
+// `location` is the username for make-admin
+const COMMANDS = { import: runImport, export: runExport, 'make-admin': runMakeAdmin };
+
+if (require.main === module) {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (err) {
+    console.error(`${err.message}\n\n${USAGE}`);
+    process.exit(1);
+  }
+
+  const formatted = options.command === 'make-admin' || options.format
+    ? Promise.resolve(options.format)
+    : detectFormat(options.location);
+
+  formatted
+    .then(format => mongoose
+      .connect(DATABASE_URL, { useMongoClient: true })
+      .then(() => COMMANDS[options.command](options, format)))
+    .then(() => mongoose.disconnect())
+    .catch(err => {
+      console.error(err);
+      mongoose.disconnect();
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { importPosts, exportPosts, makeAdmin };
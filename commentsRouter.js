@@ -0,0 +1,104 @@
+'use strict';
+
+const express = require('express');
+
+const { BlogPost, Comment } = require('./models');
+const { authorize, optionalAuth } = require('./auth');
+const { canActOn, forbidden } = require('./permissions');
+const { BadRequestError, NotFoundError } = require('./errors');
+const { validate } = require('./validation');
+const { routeRateLimit } = require('./rateLimit');
+
+// mounted at `/posts/:id/comments`, so `req.params.id` is the post id
+const router = express.Router({ mergeParams: true });
+
+// every route here needs the post to exist and be visible to the user;
+// load it once up front
+router.use(optionalAuth, validate('ALL /posts/:id/comments'), (req, res, next) => {
+  BlogPost
+    .findOne({ $and: [{ _id: req.params.id }].concat(BlogPost.visibleTo(req.user)) })
+    .then(post => {
+      if (!post) {
+        throw new NotFoundError('Post not found');
+      }
+      req.post = post;
+      next();
+    })
+    .catch(next);
+});
+
+router.get('/', validate('GET /posts/:id/comments'), (req, res, next) => {
+  Comment
+    .find({ post: req.post._id })
+    .sort({ created: 1 })
+    .then(comments => res.json(Comment.thread(comments)))
+    .catch(next);
+});
+
+// the comment is signed with the user's username unless the body names
+// a different display `author`
+router.post('/', routeRateLimit('POST /posts/:id/comments'), authorize('comments:create'),
+  validate('POST /posts/:id/comments'), (req, res, next) => {
+  // a reply has to answer a comment on the same post
+  const parentLookup = req.body.parentId
+    ? Comment.findOne({ _id: req.body.parentId, post: req.post._id })
+    : Promise.resolve(null);
+
+  parentLookup
+    .then(parent => {
+      if (req.body.parentId && !parent) {
+        throw new BadRequestError(`Comment \`${req.body.parentId}\` not found on this post`);
+      }
+
+      return Comment
+        .create({
+          post: req.post._id,
+          parent: parent ? parent._id : null,
+          author: req.body.author || req.user.username,
+          content: req.body.content,
+          owner: req.user._id
+        })
+        .then(comment => res.status(201).json(comment.serialize()));
+    })
+    .catch(next);
+});
+
+// loads the comment named in the path onto `req.comment`, failing with a
+// 404 when it isn't on this post and a 403 when the user may only act on
+// their own comments and this one belongs to somebody else
+function requireOwnComment(req, res, next) {
+  Comment
+    .findOne({ _id: req.params.commentId, post: req.post._id })
+    .then(comment => {
+      if (!comment) {
+        throw new NotFoundError('Comment not found');
+      }
+      if (!canActOn(req, comment)) {
+        throw forbidden(req.user.role, `${req.permission}:any`);
+      }
+      req.comment = comment;
+      next();
+    })
+    .catch(next);
+}
+
+router.put('/:commentId', authorize('comments:update'),
+  validate('PUT /posts/:id/comments/:commentId'), requireOwnComment, (req, res, next) => {
+  req.comment.content = req.body.content;
+  req.comment
+    .save()
+    .then(comment => res.json(comment.serialize()))
+    .catch(next);
+});
+
+// deleting a comment takes its whole thread of replies with it
+router.delete('/:commentId', authorize('comments:delete'),
+  validate('DELETE /posts/:id/comments/:commentId'), requireOwnComment, (req, res, next) => {
+  Comment
+    .threadIds(req.comment._id)
+    .then(ids => Comment.remove({ _id: { $in: ids } }))
+    .then(() => res.status(204).end())
+    .catch(next);
+});
+
+module.exports = router;
@@ -1,5 +1,103 @@
 'use strict';
 
+const os = require('os');
+const path = require('path');
+
+function parseTrustProxy(value) {
+  if (!value || value === 'false') {
+    return false;
+  }
+  if (value === 'true') {
+    return true;
+  }
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+
 exports.DATABASE_URL = process.env.DATABASE_URL || 'mongodb://localhost/blog-app';
 exports.TEST_DATABASE_URL = process.env.TEST_DATABASE_URL || 'mongodb://localhost/blog-app';
-exports.PORT = process.env.PORT || 8080;
\ No newline at end of file
+exports.PORT = process.env.PORT || 8080;
+// tokens signed with a secret everybody knows could be forged by
+// anybody, so only the tests get a default
+if (!process.env.JWT_SECRET && process.env.NODE_ENV !== 'test') {
+  throw new Error('JWT_SECRET is not set');
+}
+exports.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+exports.JWT_EXPIRY = process.env.JWT_EXPIRY || '7d';
+// how often the background scheduler looks for scheduled posts that are due
+exports.SCHEDULER_INTERVAL_MS = Number(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000;
+// trashed posts are deleted for good once they've been in the trash this long
+exports.TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+// the public address of the site and its name, used in feeds
+exports.SITE_URL = process.env.SITE_URL || 'http://localhost:8080';
+exports.SITE_TITLE = process.env.SITE_TITLE || 'Blog';
+// how many of the newest posts a feed carries
+exports.FEED_SIZE = Number(process.env.FEED_SIZE) || 20;
+// where the local storage backend keeps attachments, and the path they're
+// served under. test runs keep theirs in a temporary directory of their own.
+exports.UPLOADS_DIR = process.env.UPLOADS_DIR || (process.env.NODE_ENV === 'test'
+  ? path.join(os.tmpdir(), `blog-uploads-${process.pid}`)
+  : path.join(__dirname, 'uploads'));
+exports.UPLOADS_URL = process.env.UPLOADS_URL || '/uploads';
+exports.MAX_UPLOAD_BYTES = Number(process.env.MAX_UPLOAD_BYTES) || 5 * 1024 * 1024;
+// which proxies in front of the app to believe about the client's address
+// (`X-Forwarded-For`), which is what anonymous clients are rate limited
+// and counted as viewers by. anything Express's 'trust proxy' takes: the
+// number of hops (1 on Heroku), addresses or subnets, or true for all.
+// by default none are, and `req.ip` is the proxy's address.
+exports.TRUST_PROXY = parseTrustProxy(process.env.TRUST_PROXY);
+// how many requests a client (a signed-in user, otherwise an IP address)
+// may make per window. `read` covers GET, HEAD and OPTIONS requests and
+// GraphQL queries, `write` all others; `routes` adds budgets of their own
+// to single routes, named as in schemas.js, on top of those.
+exports.RATE_LIMITS = {
+  read: {
+    windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+    max: Number(process.env.RATE_LIMIT_READS) || 300
+  },
+  write: {
+    windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+    max: Number(process.env.RATE_LIMIT_WRITES) || 60
+  },
+  routes: {
+    'POST /auth/login': { windowMs: 15 * 60 * 1000, max: 20 },
+    'POST /auth/register': { windowMs: 60 * 60 * 1000, max: 10 },
+    'POST /posts': { windowMs: 60 * 60 * 1000, max: 30 },
+    'POST /posts/:id/comments': { windowMs: 60 * 1000, max: 10 }
+  }
+};
+// how long, in seconds, shared caches may keep the post responses given
+// to anonymous readers before revalidating them
+exports.CACHE_MAX_AGE = Number(process.env.CACHE_MAX_AGE || 60);
+// outgoing webhooks: how long a receiver gets to answer, and how often
+// and how far apart a failed delivery is retried. the wait doubles after
+// every attempt, starting at `retryBaseMs`.
+exports.WEBHOOKS = {
+  timeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+  maxAttempts: Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5,
+  retryBaseMs: Number(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000
+};
+// the live post stream: how often an idle connection gets a keep-alive
+// comment, and how many of the latest events are kept for clients that
+// reconnect with a `Last-Event-ID`
+exports.STREAM = {
+  heartbeatMs: Number(process.env.STREAM_HEARTBEAT_MS) || 15 * 1000,
+  bufferSize: Number(process.env.STREAM_BUFFER_SIZE) || 100
+};
+// engagement analytics: how long repeat views of a post by the same
+// visitor count as one, how much a view and a like weigh when ranking
+// popular posts, and how far back a ranking can look
+exports.ANALYTICS = {
+  viewWindowMs: Number(process.env.VIEW_WINDOW_MS) || 30 * 60 * 1000,
+  weights: { views: 1, likes: 5 },
+  maxWindowDays: 90
+};
+// where the current version of the API is served. the unversioned paths
+// from before still work, but answer with a `Deprecation` header dated
+// `LEGACY_API_DEPRECATED_AT` and, once a date has been set for it, a
+// `Sunset` header dated `LEGACY_API_SUNSET`.
+exports.API_PREFIX = '/api/v1';
+exports.LEGACY_API_DEPRECATED_AT = new Date(
+  process.env.LEGACY_API_DEPRECATED_AT || '2026-10-18T00:00:00Z');
+exports.LEGACY_API_SUNSET = process.env.LEGACY_API_SUNSET
+  ? new Date(process.env.LEGACY_API_SUNSET)
+  : null;
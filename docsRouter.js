@@ -0,0 +1,43 @@
+'use strict';
+
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+
+const { buildSpec } = require('./openapi');
+const { validate } = require('./validation');
+
+// the OpenAPI document of the API, and Swagger UI at `/docs` to browse
+// it and try the API out
+const router = express.Router();
+
+const spec = buildSpec();
+
+function docsPage(base) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${spec.info.title}</title>
+  <link rel="stylesheet" href="${base}/docs/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${base}/docs/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: '${base}/openapi.json', dom_id: '#docs' });</script>
+</body>
+</html>
+`;
+}
+
+router.get('/openapi.json', validate('GET /openapi.json'), (req, res) => {
+  res.json(spec);
+});
+
+router.get('/docs', validate('GET /docs'), (req, res) => {
+  res.type('html').send(docsPage(req.baseUrl));
+});
+
+// Swagger UI's scripts and styles
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+module.exports = router;
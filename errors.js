@@ -0,0 +1,161 @@
+'use strict';
+
+// error classes for the API and the middleware that turns them, and
+// anything else a route passes to `next(err)`, into a JSON response.
+// every error response has the same envelope:
+//
+//   { "error": "Post not found", "status": 404, "requestId": "…" }
+//
+// plus whatever details the error carries, e.g. the failing fields of a
+// validation error.
+
+const uuid = require('uuid');
+
+// the code of MongoDB's duplicate key error
+const DUPLICATE_KEY = 11000;
+
+class HttpError extends Error {
+  // `details` are merged into the response body
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+class BadRequestError extends HttpError {
+  constructor(message, details) {
+    super(400, message, details);
+  }
+}
+
+class UnauthorizedError extends HttpError {
+  constructor(message, details) {
+    super(401, message, details);
+  }
+}
+
+class ForbiddenError extends HttpError {
+  constructor(message, details) {
+    super(403, message, details);
+  }
+}
+
+class NotFoundError extends HttpError {
+  constructor(message, details) {
+    super(404, message, details);
+  }
+}
+
+class ConflictError extends HttpError {
+  constructor(message, details) {
+    super(409, message, details);
+  }
+}
+
+class PreconditionFailedError extends HttpError {
+  constructor(message, details) {
+    super(412, message, details);
+  }
+}
+
+class UnsupportedMediaTypeError extends HttpError {
+  constructor(message, details) {
+    super(415, message, details);
+  }
+}
+
+class TooManyRequestsError extends HttpError {
+  constructor(message, details) {
+    super(429, message, details);
+  }
+}
+
+// ids we accept from callers; anything else is replaced, since the id
+// ends up in logs and response headers
+const REQUEST_ID_PATTERN = /^[\w-]{1,128}$/;
+
+// tags every request with an id, reusing the caller's `X-Request-Id` when
+// there is one so a request can be followed across services, and echoes
+// it back in the response
+function requestId(req, res, next) {
+  const given = req.get('X-Request-Id');
+  req.id = given && REQUEST_ID_PATTERN.test(given) ? given : uuid.v4();
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+// the `errors` list of a mongoose ValidationError, in the same shape
+// validation.js uses for schema violations
+function mongooseValidationErrors(err) {
+  return Object.keys(err.errors).map(field => ({
+    location: 'body',
+    field,
+    message: err.errors[field].message
+  }));
+}
+
+// maps errors that didn't originate here onto an HttpError. anything
+// unexpected becomes a 500 whose details stay out of the response.
+function toHttpError(err) {
+  if (err instanceof HttpError) {
+    return err;
+  }
+  if (err.name === 'CastError') {
+    return new BadRequestError(`Invalid value for \`${err.path}\``);
+  }
+  if (err.name === 'ValidationError') {
+    return new BadRequestError('Validation failed', {
+      errors: mongooseValidationErrors(err)
+    });
+  }
+  // a unique index turned a write away, typically one racing another
+  // request for the same name or number
+  if (err.code === DUPLICATE_KEY) {
+    return new ConflictError('Conflicts with an existing record');
+  }
+  // body-parser's errors (malformed JSON, oversized bodies) are safe to
+  // show and carry their own status
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new HttpError(err.status, err.message);
+  }
+  return null;
+}
+
+// the catch-all for requests no route handled
+function notFound(req, res, next) {
+  next(new NotFoundError(`Cannot ${req.method} ${req.originalUrl}`));
+}
+
+// express tells error handlers apart by their four parameters, so `next`
+// has to stay even though it's unused
+function errorHandler(err, req, res, next) {
+  let httpError = toHttpError(err);
+  if (!httpError) {
+    console.error(`[${req.id}]`, err);
+    httpError = new HttpError(500, 'Something went wrong');
+  }
+
+  res.status(httpError.status).json(Object.assign({
+    error: httpError.message,
+    status: httpError.status,
+    requestId: req.id
+  }, httpError.details));
+}
+
+module.exports = {
+  HttpError,
+  BadRequestError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  TooManyRequestsError,
+  toHttpError,
+  requestId,
+  notFound,
+  errorHandler
+};
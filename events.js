@@ -0,0 +1,21 @@
+'use strict';
+
+// post lifecycle events, for whatever has to react to posts changing
+// (webhooks.js, for one). posts.js emits them once a change is saved,
+// with the post as it is now:
+//
+//   post.created
+//   post.updated   an edit that changed something, a change of status
+//                  (published, scheduled, unpublished, archived), a
+//                  revision restored or the post taken out of the trash
+//   post.deleted   moved to the trash
+//
+// a change of status also passes the status the post had before.
+
+const EventEmitter = require('events');
+
+const POST_EVENTS = ['post.created', 'post.updated', 'post.deleted'];
+
+const postEvents = new EventEmitter();
+
+module.exports = { POST_EVENTS, postEvents };
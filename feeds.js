@@ -0,0 +1,101 @@
+'use strict';
+
+// RSS 2.0 and Atom 1.0 documents for lists of posts. both builders take
+// the same description of a feed:
+//
+//   { title, link, selfLink, updated, entries: [{ id, title, link,
+//     authorName, published, updated, html }] }
+//
+// `html` is the entry's rendered content; both formats carry it escaped.
+
+const crypto = require('crypto');
+
+const CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8'
+};
+
+const XML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&apos;'
+};
+
+function escapeXml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/[&<>"']/g, char => XML_ESCAPES[char]);
+}
+
+function buildRss(feed) {
+  const items = feed.entries.map(entry => [
+    '    <item>',
+    `      <title>${escapeXml(entry.title)}</title>`,
+    `      <link>${escapeXml(entry.link)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>`,
+    // RSS wants an email address here; the name alone is the common
+    // compromise, and what feed readers show
+    `      <author>${escapeXml(entry.authorName)}</author>`,
+    `      <pubDate>${entry.published.toUTCString()}</pubDate>`,
+    `      <description>${escapeXml(entry.html)}</description>`,
+    '    </item>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.link)}</link>`,
+    `    <description>${escapeXml(feed.title)}</description>`,
+    `    <atom:link href="${escapeXml(feed.selfLink)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`
+  ].concat(items, [
+    '  </channel>',
+    '</rss>',
+    ''
+  ]).join('\n');
+}
+
+function buildAtom(feed) {
+  const entries = feed.entries.map(entry => [
+    '  <entry>',
+    `    <id>${escapeXml(entry.id)}</id>`,
+    `    <title>${escapeXml(entry.title)}</title>`,
+    `    <link href="${escapeXml(entry.link)}"/>`,
+    `    <author><name>${escapeXml(entry.authorName)}</name></author>`,
+    `    <published>${entry.published.toISOString()}</published>`,
+    `    <updated>${entry.updated.toISOString()}</updated>`,
+    `    <content type="html">${escapeXml(entry.html)}</content>`,
+    '  </entry>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(feed.selfLink)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <link href="${escapeXml(feed.link)}"/>`,
+    `  <link href="${escapeXml(feed.selfLink)}" rel="self"/>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`
+  ].concat(entries, [
+    '</feed>',
+    ''
+  ]).join('\n');
+}
+
+const BUILDERS = { rss: buildRss, atom: buildAtom };
+
+function buildFeed(format, feed) {
+  return BUILDERS[format](feed);
+}
+
+// a strong validator for a generated feed. hashing the document rather
+// than deriving the tag from dates means unpublishing or deleting a post
+// changes it too.
+function feedETag(body) {
+  return `"${crypto.createHash('sha1').update(body).digest('hex')}"`;
+}
+
+module.exports = { CONTENT_TYPES, buildFeed, feedETag };
@@ -0,0 +1,100 @@
+'use strict';
+
+const express = require('express');
+
+const { API_PREFIX, FEED_SIZE, SITE_TITLE, SITE_URL } = require('./config');
+const { Author, BlogPost } = require('./models');
+const { NotFoundError } = require('./errors');
+const { CONTENT_TYPES, buildFeed, feedETag } = require('./feeds');
+const { renderMarkdown } = require('./markdown');
+const { slugify } = require('./slugify');
+const { validate } = require('./validation');
+
+// public feeds of the newest published posts, as RSS (`feed.rss`) or
+// Atom (`feed.atom`): for the whole site, one author or one tag
+const router = express.Router();
+
+function postLink(post) {
+  return post.slug
+    ? `${SITE_URL}${API_PREFIX}/posts/by-slug/${post.slug}`
+    : `${SITE_URL}${API_PREFIX}/posts/${post._id}`;
+}
+
+function feedEntry(post) {
+  return {
+    // feed readers tell entries apart by their id, so it keeps the
+    // unversioned path it had from the start
+    id: `${SITE_URL}/posts/${post._id}`,
+    title: post.title,
+    link: postLink(post),
+    authorName: post.authorName,
+    // posts published before `publishedAt` existed fall back on when
+    // they were created
+    published: post.publishedAt || post.created,
+    updated: post.lastModified,
+    html: renderMarkdown(post.content)
+  };
+}
+
+// answers with the feed of the latest published posts matching
+// `conditions`. polling clients that send back the `ETag` of an unchanged
+// feed get an empty 304. there is no `Last-Modified`: a post taken out
+// of the feed leaves no newer date behind, so only the hash of the body
+// can tell that the feed changed.
+function sendFeed(req, res, title, conditions) {
+  const format = req.params.format;
+
+  return BlogPost
+    .find({ $and: conditions.concat(BlogPost.visibleTo()) })
+    .sort({ publishedAt: -1, created: -1 })
+    .limit(FEED_SIZE)
+    .then(posts => {
+      const entries = posts.map(feedEntry);
+      const updated = entries.reduce(
+        (newest, entry) => (entry.updated > newest ? entry.updated : newest),
+        new Date(0));
+
+      const body = buildFeed(format, {
+        title,
+        link: SITE_URL,
+        selfLink: `${SITE_URL}${req.originalUrl.split('?')[0]}`,
+        updated,
+        entries
+      });
+
+      res.set({
+        'Content-Type': CONTENT_TYPES[format],
+        'ETag': feedETag(body)
+      });
+      if (req.fresh) {
+        return res.status(304).end();
+      }
+      res.send(body);
+    });
+}
+
+router.get('/feed.:format', validate('GET /feed.:format'), (req, res, next) => {
+  sendFeed(req, res, SITE_TITLE, []).catch(next);
+});
+
+router.get('/authors/:id/feed.:format', validate('GET /authors/:id/feed.:format'),
+  (req, res, next) => {
+  Author
+    .findById(req.params.id)
+    .then(author => {
+      if (!author) {
+        throw new NotFoundError('Author not found');
+      }
+      return sendFeed(req, res, `${SITE_TITLE}: posts by ${author.name}`,
+        [{ author: author._id }]);
+    })
+    .catch(next);
+});
+
+router.get('/tags/:tag/feed.:format', validate('GET /tags/:tag/feed.:format'),
+  (req, res, next) => {
+  const tag = slugify(req.params.tag);
+  sendFeed(req, res, `${SITE_TITLE}: posts tagged ${tag}`, [{ tags: tag }]).catch(next);
+});
+
+module.exports = router;
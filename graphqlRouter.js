@@ -0,0 +1,82 @@
+'use strict';
+
+// `POST /graphql` takes `{ "query": "…", "variables": { … }, "operationName": "…" }`
+// and answers with `{ "data": …, "errors": […] }`, see graphqlSchema.js
+// for what can be queried. errors the REST routes would answer with carry
+// the same status and details in their `extensions`:
+//
+//   { "message": "Post not found", "path": ["updatePost"],
+//     "extensions": { "status": 404, "requestId": "…" } }
+//
+// a query that doesn't parse or doesn't fit the schema is answered with
+// a 400 and no `data`; everything else with a 200.
+
+const express = require('express');
+const { getOperationAST, graphql, parse } = require('graphql');
+
+const { optionalAuth } = require('./auth');
+const { HttpError, toHttpError } = require('./errors');
+const { requestRateLimit } = require('./rateLimit');
+const { validate } = require('./validation');
+const { schema, rootValue } = require('./graphqlSchema');
+
+const router = express.Router();
+
+function formatError(error, req) {
+  let httpError = null;
+  if (error.originalError) {
+    httpError = toHttpError(error.originalError);
+    if (!httpError) {
+      console.error(`[${req.id}]`, error.originalError);
+      httpError = new HttpError(500, 'Something went wrong');
+    }
+  }
+
+  return {
+    message: httpError ? httpError.message : error.message,
+    locations: error.locations,
+    path: error.path,
+    extensions: Object.assign({
+      status: httpError ? httpError.status : 400,
+      requestId: req.id
+    }, httpError && httpError.details)
+  };
+}
+
+// which of the app-wide rate limit budgets a request counts against: the
+// read budget when the operation it runs is a query, the write budget
+// for mutations and for anything that doesn't parse
+function operationBudget(req) {
+  const { query, operationName } = req.body;
+  try {
+    const operation = getOperationAST(parse(query), operationName);
+    return operation && operation.operation === 'query' ? 'read' : 'write';
+  } catch (err) {
+    return 'write';
+  }
+}
+
+router.post('/', requestRateLimit(operationBudget), optionalAuth, validate('POST /graphql'),
+  (req, res, next) => {
+  graphql({
+    schema,
+    source: req.body.query,
+    rootValue,
+    contextValue: { user: req.user, req, res },
+    variableValues: req.body.variables,
+    operationName: req.body.operationName
+  })
+    .then(result => {
+      const body = {};
+      if ('data' in result) {
+        body.data = result.data;
+      }
+      if (result.errors) {
+        body.errors = result.errors.map(error => formatError(error, req));
+      }
+      res.status('data' in result ? 200 : 400).json(body);
+    })
+    .catch(next);
+});
+
+module.exports = router;
@@ -0,0 +1,247 @@
+'use strict';
+
+// the GraphQL API served at `/graphql`, see graphqlRouter.js. it exposes
+// the same posts as the REST routes: the same visibility rules, the same
+// request validation (the schemas in schemas.js) and the same fields as
+// `serialize()`, plus the author, category and comment count of a post
+// when they're asked for.
+
+const { buildSchema } = require('graphql');
+
+const { Author, BlogPost, Category, Comment } = require('./models');
+const { UnauthorizedError, NotFoundError, BadRequestError } = require('./errors');
+const { permissionScope, forbidden } = require('./permissions');
+const { renderMarkdown } = require('./markdown');
+const { validateBody } = require('./validation');
+const { chargeRouteBudget } = require('./rateLimit');
+const {
+  listPosts, createPost, editableFields, updatePost, trashPost
+} = require('./posts');
+
+const schema = buildSchema(`
+  enum PostStatus { draft scheduled published archived }
+  enum PostSort { created title }
+  enum SortOrder { asc desc }
+
+  type Author {
+    id: ID!
+    name: String!
+    firstName: String!
+    lastName: String!
+    username: String!
+  }
+
+  type Category {
+    id: ID!
+    name: String!
+    slug: String!
+    description: String!
+  }
+
+  type Attachment {
+    id: ID!
+    url: String!
+    filename: String!
+    contentType: String!
+    size: Int!
+    kind: String!
+    created: String!
+  }
+
+  # dates are ISO 8601 strings, as in the REST API
+  type Post {
+    id: ID!
+    authorId: ID!
+    authorName: String!
+    author: Author
+    title: String!
+    content: String
+    contentHtml: String
+    created: String!
+    updated: String
+    status: PostStatus!
+    publishAt: String
+    publishedAt: String
+    deletedAt: String
+    tags: [String!]!
+    categoryId: ID
+    category: Category
+    slug: String
+    excerpt: String!
+    readingTime: Int!
+    coverUrl: String
+    attachments: [Attachment!]!
+    commentCount: Int!
+  }
+
+  type PostPage {
+    posts: [Post!]!
+    nextCursor: String
+    totalCount: Int!
+  }
+
+  type Query {
+    "filters and pages like \`GET /posts\`"
+    posts(
+      limit: Int
+      cursor: String
+      sort: PostSort
+      order: SortOrder
+      author: String
+      createdAfter: String
+      createdBefore: String
+      status: PostStatus
+      tag: String
+    ): PostPage!
+    "a post by its id or its current slug"
+    post(id: ID, slug: String): Post
+    authors: [Author!]!
+    author(id: ID!): Author
+    categories: [Category!]!
+  }
+
+  input CreatePostInput {
+    title: String!
+    content: String!
+    authorId: ID!
+    tags: [String!]
+    categoryId: ID
+  }
+
+  "only the fields given change; a null \`categoryId\` clears the category"
+  input UpdatePostInput {
+    title: String
+    content: String
+    authorId: ID
+    tags: [String!]
+    categoryId: ID
+  }
+
+  type Mutation {
+    createPost(input: CreatePostInput!): Post!
+    updatePost(id: ID!, input: UpdatePostInput!): Post!
+    "moves the post to the trash and resolves with its id"
+    deletePost(id: ID!): ID!
+  }
+`);
+
+// ids and dates the way `res.json()` writes them
+function plain(serialized) {
+  return JSON.parse(JSON.stringify(serialized));
+}
+
+// a post as the REST API sends it, plus the fields that take more work,
+// which are only resolved when a query asks for them
+function toPost(post) {
+  return Object.assign(plain(post.serialize()), {
+    contentHtml: () => renderMarkdown(post.content),
+    // posts come with their author populated, see the find hooks
+    author: () => (post.author && post.author.serialize ? plain(post.author.serialize()) : null),
+    category: () => post.category && Category
+      .findById(post.category)
+      .then(category => category && plain(category.serialize())),
+    commentCount: () => Comment.count({ post: post._id })
+  });
+}
+
+// what `authorize()` does for the REST routes: returns the scope in
+// which the user holds `permission` (see `permissionScope`) and throws
+// the same 401 or 403 otherwise
+function authorize(user, permission) {
+  if (!user) {
+    throw new UnauthorizedError('Missing bearer token');
+  }
+  const scope = permissionScope(user.role, permission);
+  if (!scope) {
+    throw forbidden(user.role, permission);
+  }
+  return scope;
+}
+
+// `requireOwnPost()` in postsRouter.js, for mutations
+function findOwnPost(id, user, permission) {
+  const scope = authorize(user, permission);
+  return BlogPost
+    .findOne({ _id: id, deletedAt: null })
+    .then(post => {
+      if (!post) {
+        throw new NotFoundError('Post not found');
+      }
+      if (scope !== 'any' && !post.isOwnedBy(user)) {
+        throw forbidden(user.role, `${permission}:any`);
+      }
+      return post;
+    });
+}
+
+// resolvers take the field's arguments and the context, which holds the
+// signed-in `user`, if any
+const rootValue = {
+  posts(args, { user }) {
+    return listPosts(args, user)
+      .then(({ items, nextCursor, totalCount }) => ({
+        posts: items.map(toPost),
+        nextCursor,
+        totalCount
+      }));
+  },
+
+  post({ id, slug }, { user }) {
+    if (Boolean(id) === Boolean(slug)) {
+      throw new BadRequestError('Give either `id` or `slug`');
+    }
+    return BlogPost
+      .findOne({ $and: [id ? { _id: id } : { slug }].concat(BlogPost.visibleTo(user)) })
+      .then(post => post && toPost(post));
+  },
+
+  authors() {
+    return Author
+      .find()
+      .sort({ lastName: 1, firstName: 1 })
+      .then(authors => authors.map(author => plain(author.serialize())));
+  },
+
+  author({ id }) {
+    return Author
+      .findById(id)
+      .then(author => author && plain(author.serialize()));
+  },
+
+  categories() {
+    return Category
+      .find()
+      .sort({ name: 1 })
+      .then(categories => categories.map(category => plain(category.serialize())));
+  },
+
+  // counts against the same budget as `POST /posts`
+  createPost({ input }, { user, req, res }) {
+    return chargeRouteBudget('POST /posts', req, res)
+      .then(() => {
+        authorize(user, 'posts:create');
+        validateBody('POST /posts', input);
+        return createPost(input, user);
+      })
+      .then(toPost);
+  },
+
+  // a merge of `input` into the post, checked like a `PUT /posts/:id`
+  updatePost({ id, input }, { user }) {
+    return findOwnPost(id, user, 'posts:update')
+      .then(post => {
+        const body = Object.assign(editableFields(post), input);
+        validateBody('PUT /posts/:id', body);
+        return updatePost(post, body, user);
+      })
+      .then(toPost);
+  },
+
+  deletePost({ id }, { user }) {
+    return findOwnPost(id, user, 'posts:delete')
+      .then(post => trashPost(post, user))
+      .then(post => String(post._id));
+  }
+};
+
+module.exports = { schema, rootValue };
@@ -0,0 +1,69 @@
+'use strict';
+
+// post content is written in Markdown. this turns it into HTML that's
+// safe to put on a page, and into the plain text behind excerpts and
+// reading times.
+
+const { marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+
+const EXCERPT_LENGTH = 200;
+const WORDS_PER_MINUTE = 200;
+
+// Markdown lets authors mix in raw HTML, so everything marked produces
+// goes through an allow-list: no scripts, styles, iframes, event handler
+// attributes or `javascript:` links survive
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat(['img', 'h1', 'h2']),
+  allowedAttributes: {
+    a: ['href', 'title'],
+    img: ['src', 'alt', 'title'],
+    code: ['class'],
+    th: ['align'],
+    td: ['align']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] }
+};
+
+function renderMarkdown(source) {
+  return sanitizeHtml(marked.parse(source || ''), SANITIZE_OPTIONS);
+}
+
+// the text a reader would see, without any markup. it stays HTML-escaped
+// (`&lt;script&gt;`, say, for a code sample), so that it can go on a page
+// as it is and nothing in it is ever taken for a tag.
+function plainText(source) {
+  return sanitizeHtml(marked.parse(source || ''), { allowedTags: [], allowedAttributes: {} })
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// the start of `text`, cut at a word boundary when it's too long, and
+// never in the middle of an entity
+function excerpt(text, length = EXCERPT_LENGTH) {
+  if (text.length <= length) {
+    return text;
+  }
+  const cut = text.slice(0, length);
+  const lastSpace = cut.lastIndexOf(' ');
+  const trimmed = (lastSpace > 0 ? cut.slice(0, lastSpace) : cut)
+    .replace(/&[#\w]*$/, '')
+    // trailing punctuation goes, but not the `;` closing an entity
+    .replace(/(?:[\s.,:!?-]|(?<!&[#\w]*);)+$/, '');
+  return `${trimmed}…`;
+}
+
+// whole minutes, rounded up; anything with words in it takes at least one
+function readingTime(text) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  return Math.ceil(words / WORDS_PER_MINUTE);
+}
+
+// what's stored alongside a post's content: `{ excerpt, readingTime }`
+function summarize(source) {
+  const text = plainText(source);
+  return { excerpt: excerpt(text), readingTime: readingTime(text) };
+}
+
+module.exports = { renderMarkdown, plainText, excerpt, readingTime, summarize };
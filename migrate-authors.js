@@ -0,0 +1,95 @@
+'use strict';
+
+// one-off migration from the old embedded `author: {firstName, lastName}`
+// on blog posts (what seed-data.json and early databases contain) to
+// references into the Author collection.
+//
+//     DATABASE_URL=mongodb://... node migrate-authors.js
+//
+// authors are matched on first and last name, so running the script twice
+// is harmless: posts that already point at an Author are left alone.
+
+const mongoose = require('mongoose');
+mongoose.Promise = global.Promise;
+
+const { DATABASE_URL } = require('./config');
+const { Author, BlogPost } = require('./models');
+
+function baseUsername(firstName, lastName) {
+  const base = `${firstName}${lastName}`.toLowerCase().replace(/[^a-z0-9]/g, '');
+  return base || 'author';
+}
+
+// finds a username nobody has yet by appending a counter when needed
+function uniqueUsername(firstName, lastName) {
+  const base = baseUsername(firstName, lastName);
+  const pattern = new RegExp(`^${base}\\d*$`);
+  return Author
+    .find({ username: pattern })
+    .then(authors => {
+      const taken = new Set(authors.map(author => author.username));
+      let candidate = base;
+      for (let i = 2; taken.has(candidate); i++) {
+        candidate = `${base}${i}`;
+      }
+      return candidate;
+    });
+}
+
+function findOrCreateAuthor(firstName, lastName, summary) {
+  return Author
+    .findOne({ firstName, lastName })
+    .then(author => {
+      if (author) {
+        return author;
+      }
+      return uniqueUsername(firstName, lastName)
+        .then(username => Author.create({ firstName, lastName, username }))
+        .then(created => {
+          summary.authorsCreated++;
+          return created;
+        });
+    });
+}
+
+// resolves with `{postsMigrated, authorsCreated}`. posts are handled one
+// at a time so two posts by the same new author don't both create it.
+function migrateEmbeddedAuthors() {
+  // the BlogPost schema no longer describes the embedded shape, so read
+  // and write the raw documents
+  const collection = BlogPost.collection;
+  const summary = { postsMigrated: 0, authorsCreated: 0 };
+
+  return collection
+    .find({ 'author.firstName': { $exists: true } })
+    .toArray()
+    .then(posts => posts.reduce((chain, post) => chain.then(() => {
+      const firstName = (post.author.firstName || '').trim();
+      const lastName = (post.author.lastName || '').trim();
+      return findOrCreateAuthor(firstName, lastName, summary)
+        .then(author => collection.updateOne(
+          { _id: post._id },
+          { $set: { author: author._id } }))
+        .then(() => {
+          summary.postsMigrated++;
+        });
+    }), Promise.resolve()))
+    .then(() => summary);
+}
+
+if (require.main === module) {
+  mongoose.connect(DATABASE_URL, { useMongoClient: true })
+    .then(() => migrateEmbeddedAuthors())
+    .then(summary => {
+      console.log(`Migrated ${summary.postsMigrated} post(s), ` +
+        `created ${summary.authorsCreated} author(s)`);
+      return mongoose.disconnect();
+    })
+    .catch(err => {
+      console.error(err);
+      mongoose.disconnect();
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { migrateEmbeddedAuthors, uniqueUsername };
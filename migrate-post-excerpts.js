@@ -0,0 +1,54 @@
+'use strict';
+
+// one-off migration recomputing the excerpt and reading time of every
+// post. posts from before they existed have none, and excerpts made
+// before they were kept HTML-escaped can hold markup from code samples.
+// posts are updated in place, so they don't count as modified.
+//
+//     DATABASE_URL=mongodb://... node migrate-post-excerpts.js
+
+const mongoose = require('mongoose');
+mongoose.Promise = global.Promise;
+
+const { DATABASE_URL } = require('./config');
+const { BlogPost } = require('./models');
+const { summarize } = require('./markdown');
+
+// goes through the posts one at a time. resolves with the number of posts
+// that were updated.
+function backfillExcerpts() {
+  const cursor = BlogPost.collection
+    .find({})
+    .project({ content: 1, excerpt: 1, readingTime: 1 });
+  let count = 0;
+
+  const next = () => cursor.next().then(post => {
+    if (!post) {
+      return count;
+    }
+    const summary = summarize(post.content);
+    if (summary.excerpt === post.excerpt && summary.readingTime === post.readingTime) {
+      return next();
+    }
+    count++;
+    return BlogPost.collection.updateOne({ _id: post._id }, { $set: summary }).then(next);
+  });
+
+  return next();
+}
+
+if (require.main === module) {
+  mongoose.connect(DATABASE_URL, { useMongoClient: true })
+    .then(() => backfillExcerpts())
+    .then(count => {
+      console.log(`Updated the excerpts of ${count} post(s)`);
+      return mongoose.disconnect();
+    })
+    .catch(err => {
+      console.error(err);
+      mongoose.disconnect();
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { backfillExcerpts };
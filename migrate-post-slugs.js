@@ -0,0 +1,41 @@
+'use strict';
+
+// one-off migration giving posts created before slugs existed a slug of
+// their own. posts get one the next time they're saved anyway; this does
+// it for all of them at once.
+//
+//     DATABASE_URL=mongodb://... node migrate-post-slugs.js
+
+const mongoose = require('mongoose');
+mongoose.Promise = global.Promise;
+
+const { DATABASE_URL } = require('./config');
+const { BlogPost } = require('./models');
+
+// saves the posts one at a time, oldest first, so the older of two posts
+// with the same title keeps the plain slug. resolves with the number of
+// posts that were updated.
+function addMissingSlugs() {
+  return BlogPost
+    .find({ slug: { $exists: false } })
+    .sort({ created: 1 })
+    .then(posts => posts
+      .reduce((saved, post) => saved.then(() => post.save()), Promise.resolve())
+      .then(() => posts.length));
+}
+
+if (require.main === module) {
+  mongoose.connect(DATABASE_URL, { useMongoClient: true })
+    .then(() => addMissingSlugs())
+    .then(count => {
+      console.log(`Added slugs to ${count} post(s)`);
+      return mongoose.disconnect();
+    })
+    .catch(err => {
+      console.error(err);
+      mongoose.disconnect();
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { addMissingSlugs };
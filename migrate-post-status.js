@@ -0,0 +1,37 @@
+'use strict';
+
+// one-off migration for posts created before the draft/published
+// workflow existed. they were all public, so they become published.
+//
+//     DATABASE_URL=mongodb://... node migrate-post-status.js
+
+const mongoose = require('mongoose');
+mongoose.Promise = global.Promise;
+
+const { DATABASE_URL } = require('./config');
+const { BlogPost } = require('./models');
+
+// resolves with the number of posts that were updated
+function publishLegacyPosts() {
+  return BlogPost.collection
+    .updateMany(
+      { status: { $exists: false } },
+      { $set: { status: 'published', publishAt: null, publishedAt: null } })
+    .then(result => result.modifiedCount);
+}
+
+if (require.main === module) {
+  mongoose.connect(DATABASE_URL, { useMongoClient: true })
+    .then(() => publishLegacyPosts())
+    .then(count => {
+      console.log(`Published ${count} legacy post(s)`);
+      return mongoose.disconnect();
+    })
+    .catch(err => {
+      console.error(err);
+      mongoose.disconnect();
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { publishLegacyPosts };
@@ -0,0 +1,37 @@
+'use strict';
+
+// one-off migration for accounts created before roles were stored with
+// every user. new accounts start out as readers now, which is what such
+// an account would otherwise read as; they were made when everybody
+// could write, so they become authors.
+//
+//     DATABASE_URL=mongodb://... node migrate-user-roles.js
+
+const mongoose = require('mongoose');
+mongoose.Promise = global.Promise;
+
+const { DATABASE_URL } = require('./config');
+const { User } = require('./models');
+
+// resolves with the number of users that were updated
+function assignLegacyRoles() {
+  return User.collection
+    .updateMany({ role: { $exists: false } }, { $set: { role: 'author' } })
+    .then(result => result.modifiedCount);
+}
+
+if (require.main === module) {
+  mongoose.connect(DATABASE_URL, { useMongoClient: true })
+    .then(() => assignLegacyRoles())
+    .then(count => {
+      console.log(`Made ${count} legacy user(s) authors`);
+      return mongoose.disconnect();
+    })
+    .catch(err => {
+      console.error(err);
+      mongoose.disconnect();
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { assignLegacyRoles };
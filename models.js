@@ -1,33 +1,702 @@
 'use strict';
 
+const bcrypt = require('bcryptjs');
 const mongoose = require('mongoose');
 mongoose.Promise = global.Promise;
 
+const {ROLES, permissionScope} = require('./permissions');
+const {slugify} = require('./slugify');
+const {renderMarkdown, summarize} = require('./markdown');
+const {getStorage} = require('./storage');
+const {POST_EVENTS} = require('./events');
+
+const userSchema = mongoose.Schema({
+  username: {type: String, required: true, unique: true},
+  // only ever the bcrypt hash, see `User.hashPassword`
+  password: {type: String, required: true},
+  firstName: {type: String, default: ''},
+  lastName: {type: String, default: ''},
+  // anybody can sign up, so new accounts may only read and comment
+  // until an admin gives them more, see `PUT /users/:id/role`
+  role: {type: String, enum: ROLES, default: 'reader'}
+});
+
+userSchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    username: this.username,
+    firstName: this.firstName,
+    lastName: this.lastName,
+    role: this.role
+  };
+};
+
+userSchema.methods.validatePassword = function(password) {
+  return bcrypt.compare(password, this.password);
+};
+
+userSchema.statics.hashPassword = function(password) {
+  return bcrypt.hash(password, 10);
+};
+
+const authorSchema = mongoose.Schema({
+  firstName: {type: String, required: true},
+  lastName: {type: String, required: true},
+  username: {type: String, required: true, unique: true}
+});
+
+authorSchema.virtual('name').get(function() {
+  return `${this.firstName} ${this.lastName}`.trim();
+});
+
+authorSchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    firstName: this.firstName,
+    lastName: this.lastName,
+    username: this.username
+  };
+};
+
+// a topic posts can be filed under; each post has at most one
+const categorySchema = mongoose.Schema({
+  name: {type: String, required: true},
+  // derived from `name`, see the pre-validate hook
+  slug: {type: String, required: true, unique: true},
+  description: {type: String, default: ''}
+});
+
+categorySchema.pre('validate', function(next) {
+  if (this.isModified('name')) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+categorySchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    slug: this.slug,
+    description: this.description
+  };
+};
+
+const ATTACHMENT_KINDS = ['cover', 'inline'];
+
+// a file uploaded for a post. the file itself is in storage under `key`,
+// see storage.js. a post has at most one cover image.
+const attachmentSchema = mongoose.Schema({
+  key: {type: String, required: true},
+  filename: {type: String, required: true},
+  contentType: {type: String, required: true},
+  size: {type: Number, required: true},
+  kind: {type: String, enum: ATTACHMENT_KINDS, default: 'inline'},
+  created: {type: Date, default: Date.now}
+});
+
+attachmentSchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    url: getStorage().url(this.key),
+    filename: this.filename,
+    contentType: this.contentType,
+    size: this.size,
+    kind: this.kind,
+    created: this.created
+  };
+};
+
+const POST_STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// which statuses a post may move to from its current one
+const POST_TRANSITIONS = {
+  draft: ['scheduled', 'published', 'archived'],
+  scheduled: ['draft', 'published', 'archived'],
+  published: ['draft', 'archived'],
+  archived: ['draft']
+};
+
 const blogPostSchema = mongoose.Schema({
-  author: {
-      firstName: String,
-      lastName: String
-    },
-    title: {type: String, required: true},
-    content: {type: String},
-    created: {type: Date, default: Date.now}
-  });
+  author: {type: mongoose.Schema.Types.ObjectId, ref: 'Author', required: true},
+  title: {type: String, required: true},
+  // Markdown source, see markdown.js
+  content: {type: String},
+  // derived from `content` whenever it changes
+  excerpt: {type: String, default: ''},
+  readingTime: {type: Number, default: 0},
+  created: {type: Date, default: Date.now},
+  updated: {type: Date, default: null},
+  // when anything about the post last changed, edits or not, see
+  // `lastModified`
+  modified: {type: Date, default: null},
+  // the user who created the post; only they may change it
+  owner: {type: mongoose.Schema.Types.ObjectId, ref: 'User'},
+  status: {type: String, enum: POST_STATUSES, default: 'draft'},
+  // when a scheduled post is due to go live
+  publishAt: {type: Date, default: null},
+  publishedAt: {type: Date, default: null},
+  // set while the post sits in the trash
+  deletedAt: {type: Date, default: null},
+  deletedBy: {type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null},
+  // tags are stored as slugs, see `BlogPost.normalizeTags`
+  tags: {type: [String], index: true},
+  category: {type: mongoose.Schema.Types.ObjectId, ref: 'Category', default: null},
+  // derived from `title`, see `BlogPost.uniqueSlug`. sparse, since posts
+  // from before slugs existed don't have one until they're next saved.
+  slug: {type: String, unique: true, sparse: true},
+  // earlier slugs of the post, kept so that old links still resolve
+  slugHistory: {type: [String], index: true},
+  attachments: [attachmentSchema]
+});
+
+// tags as given by users ("Node.js", "node js") become slugs ("node-js"),
+// without duplicates or empties, in the order they were first given
+blogPostSchema.statics.normalizeTags = function(tags) {
+  const slugs = tags.map(slugify).filter(Boolean);
+  return slugs.filter((slug, i) => slugs.indexOf(slug) === i);
+};
+
+blogPostSchema.pre('validate', function(next) {
+  if (this.isModified('tags')) {
+    this.tags = this.constructor.normalizeTags(this.tags);
+  }
+  next();
+});
+
+blogPostSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('content')) {
+    this.set(summarize(this.content));
+  }
+  next();
+});
+
+// a slug for `title` that no other post uses, now or in its history:
+// "hello-world", then "hello-world-2", "hello-world-3" and so on.
+// `exceptId` is the post the slug is for, whose own slugs don't count.
+blogPostSchema.statics.uniqueSlug = function(title, exceptId) {
+  const base = slugify(title) || 'post';
+  // slugs only hold [a-z0-9-], so `base` is safe to use in a pattern
+  const pattern = new RegExp(`^${base}(-\\d+)?$`);
+  const conditions = {$or: [{slug: pattern}, {slugHistory: pattern}]};
+  if (exceptId) {
+    conditions._id = {$ne: exceptId};
+  }
+
+  return this.collection
+    .find(conditions, {fields: {slug: 1, slugHistory: 1}})
+    .toArray()
+    .then(posts => {
+      const taken = new Set();
+      posts.forEach(post => {
+        [post.slug].concat(post.slugHistory || []).forEach(slug => taken.add(slug));
+      });
+      if (!taken.has(base)) {
+        return base;
+      }
+      let n = 2;
+      while (taken.has(`${base}-${n}`)) {
+        n++;
+      }
+      return `${base}-${n}`;
+    });
+};
+
+// new posts get a slug, and a retitled post a new one with the old one
+// moving to `slugHistory`. going back to an earlier title takes its slug
+// back out of the history.
+blogPostSchema.pre('validate', function(next) {
+  if (!this.title || (this.slug && !this.isModified('title'))) {
+    return next();
+  }
+  this.constructor
+    .uniqueSlug(this.title, this._id)
+    .then(slug => {
+      if (slug !== this.slug) {
+        if (this.slug) {
+          this.slugHistory.push(this.slug);
+        }
+        this.slugHistory.pull(slug);
+        this.slug = slug;
+      }
+      next();
+    })
+    .catch(next);
+});
+
+// how many slugs a save tries before giving up, see `saveWithSlug`
+const SLUG_ATTEMPTS = 5;
+
+// `save()` for saves that may pick a slug. two posts saved at the same
+// time with the same title pick the same slug, and the unique index turns
+// one of them away; that one picks again.
+blogPostSchema.methods.saveWithSlug = function(attempts = SLUG_ATTEMPTS) {
+  return this
+    .save()
+    .catch(err => {
+      if (err.code !== 11000 || !/\bslug_1\b/.test(err.message) || attempts <= 1) {
+        throw err;
+      }
+      // the slug it had before is in `slugHistory` already
+      this.slug = undefined;
+      return this.saveWithSlug(attempts - 1);
+    });
+};
+
+blogPostSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified()) {
+    this.modified = new Date();
+  }
+  next();
+});
+
+// posts are always served with their author's name, so load the author
+// document alongside every post query
+blogPostSchema.pre('find', function(next) {
+  this.populate('author');
+  next();
+});
 
+blogPostSchema.pre('findOne', function(next) {
+  this.populate('author');
+  next();
+});
+
+// back the sort orders offered by the paginated `GET /posts` listing
+blogPostSchema.index({created: -1, _id: -1});
+blogPostSchema.index({title: 1, _id: 1});
+// the scheduler's lookup of posts that are due
+blogPostSchema.index({status: 1, publishAt: 1});
+// the trash listing and the purge job
+blogPostSchema.index({deletedAt: 1});
+// relevance ranking for `GET /posts/search`; title matches count for more
+blogPostSchema.index(
+  {title: 'text', content: 'text'},
+  {weights: {title: 3, content: 1}, name: 'post_text_search'});
 
 blogPostSchema.virtual('authorName').get(function() {
+  // `author` is only a bare id when the post was loaded without populating
+  if (!this.author || !this.author.firstName) {
+    return '';
+  }
   return `${this.author.firstName} ${this.author.lastName}`.trim();
 });
 
-blogPostSchema.methods.serialize = function() {
+blogPostSchema.virtual('authorId').get(function() {
+  if (!this.author) {
+    return null;
+  }
+  return this.author._id || this.author;
+});
+
+const CONTENT_FORMATS = ['markdown', 'html', 'both'];
+
+// `options.format` picks how the content is returned: the Markdown
+// source as `content` ('markdown', the default), sanitized HTML as
+// `contentHtml` ('html'), or both. `options.commentCount` (a number) or
+// `options.comments` (the output of `Comment.thread()`) are added to the
+// result when given.
+blogPostSchema.methods.serialize = function(options = {}) {
+  const format = options.format || 'markdown';
+  const serialized = {
+    id: this._id,
+    authorId: this.authorId,
+    authorName: this.authorName,
+    title: this.title,
+    created: this.created,
+    updated: this.updated,
+    status: this.status,
+    publishAt: this.publishAt,
+    publishedAt: this.publishedAt,
+    deletedAt: this.deletedAt,
+    tags: this.tags,
+    categoryId: this.category,
+    slug: this.slug,
+    excerpt: this.excerpt,
+    readingTime: this.readingTime,
+    coverUrl: this.cover ? getStorage().url(this.cover.key) : null,
+    attachments: this.attachments.map(attachment => attachment.serialize())
+  };
+  if (format !== 'html') {
+    serialized.content = this.content;
+  }
+  if (format !== 'markdown') {
+    serialized.contentHtml = renderMarkdown(this.content);
+  }
+  if (options.commentCount !== undefined) {
+    serialized.commentCount = options.commentCount;
+  }
+  if (options.comments !== undefined) {
+    serialized.comments = options.comments;
+  }
+  return serialized;
+};
+
+blogPostSchema.virtual('cover').get(function() {
+  return this.attachments.find(attachment => attachment.kind === 'cover') || null;
+});
+
+// for `Last-Modified`. posts saved before `modified` existed fall back
+// on their last edit.
+blogPostSchema.virtual('lastModified').get(function() {
+  return this.modified || this.updated || this.created;
+});
+
+blogPostSchema.methods.isOwnedBy = function(user) {
+  return Boolean(this.owner) && String(this.owner) === String(user._id);
+};
+
+blogPostSchema.methods.canTransitionTo = function(status) {
+  return (POST_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// moves the post to `status` without saving it. `publishAt` is only
+// used, and required, for 'scheduled'.
+blogPostSchema.methods.transitionTo = function(status, publishAt) {
+  this.status = status;
+  this.publishAt = status === 'scheduled' ? publishAt : null;
+  if (status === 'published') {
+    this.publishedAt = new Date();
+  }
+  return this;
+};
+
+// query conditions limiting posts to the ones `user` may read: trashed
+// posts are hidden from everybody, everyone sees published posts, and
+// users who may edit posts also see unpublished ones (all of them, or
+// only their own). `user` may be undefined.
+blogPostSchema.statics.visibleTo = function(user) {
+  const notDeleted = {deletedAt: null};
+  const scope = user ? permissionScope(user.role, 'posts:update') : null;
+  if (scope === 'any') {
+    return [notDeleted];
+  }
+  if (scope === 'own') {
+    return [notDeleted, {$or: [{status: 'published'}, {owner: user._id}]}];
+  }
+  return [notDeleted, {status: 'published'}];
+};
+
+// `visibleTo` for a post already loaded, trash aside: whether `user`
+// may see it going by its status and owner
+blogPostSchema.methods.isVisibleTo = function(user) {
+  const scope = user ? permissionScope(user.role, 'posts:update') : null;
+  if (scope === 'any') {
+    return true;
+  }
+  return this.status === 'published' || (scope === 'own' && this.isOwnedBy(user));
+};
+
+// flips every scheduled post whose time has come to published and
+// resolves with the posts that went live. each post is flipped on its
+// own, and only if it's still due, so that a post another server (or
+// an editor) got to first isn't counted twice.
+blogPostSchema.statics.publishDue = function(now = new Date()) {
+  const due = {status: 'scheduled', publishAt: {$lte: now}};
+  return this
+    .find(due, '_id')
+    .then(posts => Promise.all(posts.map(post => this.findOneAndUpdate(
+      Object.assign({_id: post._id}, due),
+      {$set: {status: 'published', publishedAt: now, publishAt: null, modified: now}}))))
+    .then(flipped => {
+      const ids = flipped.filter(post => post).map(post => post._id);
+      // loaded again for the author, which `findOneAndUpdate` leaves alone
+      return ids.length ? this.find({_id: {$in: ids}}) : [];
+    });
+};
+
+blogPostSchema.methods.trash = function(user) {
+  this.deletedAt = new Date();
+  this.deletedBy = user ? user._id : null;
+  return this;
+};
+
+blogPostSchema.methods.restore = function() {
+  this.deletedAt = null;
+  this.deletedBy = null;
+  return this;
+};
+
+// deletes, for good, every post that has been in the trash since before
+// `cutoff`, and resolves with how many there were
+blogPostSchema.statics.purgeTrashed = function(cutoff) {
+  return this
+    .find({deletedAt: {$ne: null, $lt: cutoff}}, '_id')
+    .then(posts => Promise
+      .all(posts.map(post => this.removeCascade(post._id)))
+      .then(() => posts.length));
+};
+
+// removes a post together with everything that hangs off it, the
+// attachment files included
+blogPostSchema.statics.removeCascade = function(id) {
+  return this
+    .findByIdAndRemove(id)
+    .then(post => Promise
+      .all([
+        mongoose.model('Comment').remove({post: id}),
+        mongoose.model('Revision').remove({post: id}),
+        mongoose.model('PostView').remove({post: id}),
+        mongoose.model('PostLike').remove({post: id}),
+        mongoose.model('PostStat').remove({post: id})
+      ].concat(post
+        ? post.attachments.map(attachment => getStorage().remove(attachment.key))
+        : []))
+      .then(() => post));
+};
+
+const commentSchema = mongoose.Schema({
+  post: {type: mongoose.Schema.Types.ObjectId, ref: 'BlogPost', required: true},
+  // top-level comments have no parent; replies point at the comment
+  // they answer
+  parent: {type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null},
+  author: {type: String, required: true},
+  content: {type: String, required: true},
+  created: {type: Date, default: Date.now},
+  owner: {type: mongoose.Schema.Types.ObjectId, ref: 'User'}
+});
+
+commentSchema.index({post: 1, created: 1});
+
+commentSchema.methods.serialize = function() {
   return {
     id: this._id,
-    author: this.authorName,
+    postId: this.post,
+    parentId: this.parent,
+    author: this.author,
     content: this.content,
+    created: this.created
+  };
+};
+
+commentSchema.methods.isOwnedBy = function(user) {
+  return Boolean(this.owner) && String(this.owner) === String(user._id);
+};
+
+// nests a flat list of comments into threads. every serialized comment
+// gets a `replies` array, and replies keep the order of `comments`.
+commentSchema.statics.thread = function(comments) {
+  const byId = new Map();
+  comments.forEach(comment => {
+    byId.set(String(comment._id), Object.assign(comment.serialize(), {replies: []}));
+  });
+
+  const roots = [];
+  comments.forEach(comment => {
+    const serialized = byId.get(String(comment._id));
+    const parent = comment.parent && byId.get(String(comment.parent));
+    if (parent) {
+      parent.replies.push(serialized);
+    } else {
+      roots.push(serialized);
+    }
+  });
+  return roots;
+};
+
+// resolves with the ids of `id` and every reply beneath it, however deep
+commentSchema.statics.threadIds = function(id) {
+  const ids = [id];
+  const collect = parentIds => this
+    .find({parent: {$in: parentIds}}, '_id')
+    .then(replies => {
+      if (replies.length === 0) {
+        return ids;
+      }
+      const replyIds = replies.map(reply => reply._id);
+      ids.push(...replyIds);
+      return collect(replyIds);
+    });
+  return collect([id]);
+};
+
+// an immutable snapshot of a post's editable fields, stored every time
+// the post changes. `number` counts up from 1 per post.
+const revisionSchema = mongoose.Schema({
+  post: {type: mongoose.Schema.Types.ObjectId, ref: 'BlogPost', required: true},
+  number: {type: Number, required: true},
+  created: {type: Date, default: Date.now},
+  editor: {type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null},
+  changedFields: [String],
+  // set when the revision came from rolling back to an earlier one
+  restoredFrom: {type: Number, default: null},
+  title: String,
+  content: String,
+  author: {type: mongoose.Schema.Types.ObjectId, ref: 'Author'},
+  // missing from revisions stored before posts had tags and categories
+  tags: {type: [String], default: undefined},
+  category: {type: mongoose.Schema.Types.ObjectId, ref: 'Category'}
+});
+
+revisionSchema.index({post: 1, number: 1}, {unique: true});
+
+function immutable(next) {
+  next(new Error('Revisions are immutable'));
+}
+
+revisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return immutable(next);
+  }
+  next();
+});
+revisionSchema.pre('update', immutable);
+revisionSchema.pre('findOneAndUpdate', immutable);
+
+revisionSchema.methods.serialize = function() {
+  return {
+    number: this.number,
+    created: this.created,
+    editorId: this.editor,
+    changedFields: this.changedFields,
+    restoredFrom: this.restoredFrom,
     title: this.title,
+    content: this.content,
+    authorId: this.author,
+    tags: this.tags,
+    categoryId: this.category
+  };
+};
+
+revisionSchema.statics.latestNumber = function(postId) {
+  return this
+    .findOne({post: postId})
+    .sort({number: -1})
+    .then(revision => (revision ? revision.number : 0));
+};
+
+// webhooks may subscribe to any of the post events
+const WEBHOOK_EVENTS = POST_EVENTS;
+
+// a subscription to post events, which are POSTed to `url` and signed
+// with `secret`, see webhooks.js
+const webhookSchema = mongoose.Schema({
+  url: {type: String, required: true},
+  events: {type: [{type: String, enum: WEBHOOK_EVENTS}], required: true},
+  secret: {type: String, required: true},
+  active: {type: Boolean, default: true},
+  owner: {type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null},
+  created: {type: Date, default: Date.now}
+});
+
+webhookSchema.index({events: 1, active: 1});
+
+// the secret is only shown once, when the webhook is created
+webhookSchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    url: this.url,
+    events: this.events,
+    active: this.active,
     created: this.created
   };
 };
 
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+// one event sent to one webhook, with every attempt at sending it.
+// `body` is kept as sent so that retries carry the same bytes, and with
+// them the same signature.
+const webhookDeliverySchema = mongoose.Schema({
+  webhook: {type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true},
+  event: {type: String, enum: WEBHOOK_EVENTS, required: true},
+  body: {type: String, required: true},
+  status: {type: String, enum: DELIVERY_STATUSES, default: 'pending'},
+  attempts: [{
+    _id: false,
+    at: {type: Date, required: true},
+    // null when there was no response at all
+    responseStatus: {type: Number, default: null},
+    error: {type: String, default: null},
+    durationMs: Number
+  }],
+  // when the next retry is due, while the delivery is pending
+  nextAttemptAt: {type: Date, default: null},
+  created: {type: Date, default: Date.now}
+});
+
+webhookDeliverySchema.index({webhook: 1, created: -1});
+webhookDeliverySchema.index({status: 1, nextAttemptAt: 1});
+
+webhookDeliverySchema.methods.serialize = function() {
+  return {
+    id: this._id,
+    webhookId: this.webhook,
+    event: this.event,
+    status: this.status,
+    payload: JSON.parse(this.body),
+    attempts: this.attempts.map(attempt => ({
+      at: attempt.at,
+      responseStatus: attempt.responseStatus,
+      error: attempt.error,
+      durationMs: attempt.durationMs
+    })),
+    nextAttemptAt: this.nextAttemptAt,
+    created: this.created
+  };
+};
+
+// one visitor having seen a post within one deduplication window, see
+// analytics.js. `visitor` is a hash, so no IP addresses are kept, and
+// the documents expire once their window has gone by.
+const postViewSchema = mongoose.Schema({
+  post: {type: mongoose.Schema.Types.ObjectId, ref: 'BlogPost', required: true},
+  visitor: {type: String, required: true},
+  window: {type: Number, required: true},
+  expiresAt: {type: Date, required: true}
+});
+
+postViewSchema.index({post: 1, visitor: 1, window: 1}, {unique: true});
+postViewSchema.index({expiresAt: 1}, {expireAfterSeconds: 0});
+
+const postLikeSchema = mongoose.Schema({
+  post: {type: mongoose.Schema.Types.ObjectId, ref: 'BlogPost', required: true},
+  user: {type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true},
+  created: {type: Date, default: Date.now}
+});
+
+postLikeSchema.index({post: 1, user: 1}, {unique: true});
+
+// the views and likes of a post on one (UTC) day. `likes` is the day's
+// net change, so unlikes count against it. only ever changed with `$inc`.
+const postStatSchema = mongoose.Schema({
+  post: {type: mongoose.Schema.Types.ObjectId, ref: 'BlogPost', required: true},
+  day: {type: Date, required: true},
+  views: {type: Number, default: 0},
+  likes: {type: Number, default: 0}
+});
+
+postStatSchema.index({post: 1, day: 1}, {unique: true});
+postStatSchema.index({day: 1});
+
+const User = mongoose.model('User', userSchema);
+const Author = mongoose.model('Author', authorSchema);
+const Category = mongoose.model('Category', categorySchema);
 const BlogPost = mongoose.model('BlogPost', blogPostSchema);
+const Comment = mongoose.model('Comment', commentSchema);
+const Revision = mongoose.model('Revision', revisionSchema);
+const Webhook = mongoose.model('Webhook', webhookSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+const PostView = mongoose.model('PostView', postViewSchema);
+const PostLike = mongoose.model('PostLike', postLikeSchema);
+const PostStat = mongoose.model('PostStat', postStatSchema);
 
-module.exports = {BlogPost};
+module.exports = {
+  POST_STATUSES,
+  CONTENT_FORMATS,
+  ATTACHMENT_KINDS,
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  User,
+  Author,
+  Category,
+  BlogPost,
+  Comment,
+  Revision,
+  Webhook,
+  WebhookDelivery,
+  PostView,
+  PostLike,
+  PostStat
+};
@@ -0,0 +1,109 @@
+'use strict';
+
+// the OpenAPI document of the API, served at `/api/v1/openapi.json`. it's
+// generated from the request schemas in schemas.js: every route there
+// becomes an operation with its path and query parameters and its JSON
+// body. OpenAPI 3.1 takes JSON Schema as it is, so the schemas go in
+// unchanged. what they can't express (bodies that aren't JSON, say) an
+// entry adds under `docs`, which is merged into its operation.
+
+const { API_PREFIX, SITE_TITLE } = require('./config');
+const { routes } = require('./schemas');
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: { type: 'string' },
+    status: { type: 'integer' },
+    requestId: { type: 'string' }
+  },
+  required: ['error', 'status', 'requestId']
+};
+
+const RESPONSES = {
+  '2XX': { description: 'Success' },
+  default: {
+    description: 'An error, with details depending on the error',
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  }
+};
+
+// `/posts/:id` the way OpenAPI writes it, `/posts/{id}`
+function openapiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+// every parameter in `path`, described by the `params` schema where it
+// has something to say
+function pathParameters(path, params) {
+  const properties = params ? params.properties : {};
+  return (path.match(/:\w+/g) || []).map(param => {
+    const name = param.slice(1);
+    return {
+      name,
+      in: 'path',
+      required: true,
+      schema: properties[name] || { type: 'string' }
+    };
+  });
+}
+
+function queryParameters(query) {
+  if (!query) {
+    return [];
+  }
+  return Object.keys(query.properties).map(name => ({
+    name,
+    in: 'query',
+    required: query.required.includes(name),
+    schema: query.properties[name]
+  }));
+}
+
+function operation(method, path, route) {
+  const result = {
+    operationId: `${method} ${path}`,
+    // the first part of the path: "posts", "authors", "feed"…
+    tags: [path.split(/[/.]/)[1]],
+    parameters: pathParameters(path, route.params).concat(queryParameters(route.query)),
+    responses: RESPONSES
+  };
+  if (route.body) {
+    result.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: route.body } }
+    };
+  }
+  return Object.assign(result, route.docs);
+}
+
+function buildSpec() {
+  const paths = {};
+  Object.keys(routes)
+    // middleware for every method, not a route of its own
+    .filter(name => !name.startsWith('ALL '))
+    .forEach(name => {
+      const [method, path] = name.split(' ');
+      const key = openapiPath(path);
+      paths[key] = paths[key] || {};
+      paths[key][method.toLowerCase()] = operation(method, path, routes[name]);
+    });
+
+  return {
+    openapi: '3.1.0',
+    info: { title: `${SITE_TITLE} API`, version: '1' },
+    servers: [{ url: API_PREFIX }],
+    // signing in is optional for reading and required for most writes;
+    // operations that need it answer 401 without
+    security: [{}, { bearerAuth: [] }],
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+      },
+      schemas: { Error: ERROR_SCHEMA }
+    },
+    paths
+  };
+}
+
+module.exports = { openapiPath, buildSpec };
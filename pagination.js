@@ -0,0 +1,168 @@
+'use strict';
+
+// helpers for the cursor-paginated `GET /posts` listing. a cursor is an
+// opaque base64 token holding the sort value and `_id` of the last post
+// on the previous page, so the next page picks up right after it even if
+// new posts are inserted in the meantime.
+
+const { BadRequestError } = require('./errors');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const SORT_FIELDS = ['created', 'title'];
+// newest first is the natural order for dates, a-z for titles
+const DEFAULT_ORDER = { created: 'desc', title: 'asc' };
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function encodeCursor(post, sortField) {
+  const value = post[sortField];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : value,
+    id: String(post._id)
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64');
+}
+
+function decodeCursor(cursor, sortField) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+  } catch (err) {
+    throw new BadRequestError('Invalid `cursor` value');
+  }
+  if (!payload || typeof payload.id !== 'string' || !('v' in payload)) {
+    throw new BadRequestError('Invalid `cursor` value');
+  }
+  const value = sortField === 'created' ? new Date(payload.v) : payload.v;
+  if (value instanceof Date && isNaN(value.getTime())) {
+    throw new BadRequestError('Invalid `cursor` value');
+  }
+  return { value, id: payload.id };
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new BadRequestError(`\`${name}\` must be a valid date`);
+  }
+  return date;
+}
+
+// every whitespace-separated word of `name` has to match the start of
+// the author's first name, last name or username, so "bill smi" finds
+// Billy Smith. the conditions apply to the Author collection.
+function authorNameFilter(name) {
+  const words = name.trim().split(/\s+/).filter(Boolean);
+  return words.map(word => {
+    const pattern = new RegExp(`^${escapeRegExp(word)}`, 'i');
+    return {
+      $or: [
+        { firstName: pattern },
+        { lastName: pattern },
+        { username: pattern }
+      ]
+    };
+  });
+}
+
+// turns the query string of `GET /posts` into the pieces needed to run
+// the listing query. throws a BadRequestError when a parameter is
+// malformed.
+function parseListQuery(query) {
+  let limit = DEFAULT_LIMIT;
+  if (query.limit !== undefined) {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      throw new BadRequestError(`\`limit\` must be an integer between 1 and ${MAX_LIMIT}`);
+    }
+  }
+
+  const sortField = query.sort || 'created';
+  if (!SORT_FIELDS.includes(sortField)) {
+    throw new BadRequestError(`\`sort\` must be one of: ${SORT_FIELDS.join(', ')}`);
+  }
+
+  const sortOrder = query.order || DEFAULT_ORDER[sortField];
+  if (!['asc', 'desc'].includes(sortOrder)) {
+    throw new BadRequestError('`order` must be `asc` or `desc`');
+  }
+
+  // the author filter needs a lookup in the Author collection, so it's
+  // handed back for the caller to resolve into `conditions`
+  const authorName = query.author ? String(query.author) : null;
+
+  const conditions = [];
+  if (query.createdAfter || query.createdBefore) {
+    const created = {};
+    if (query.createdAfter) {
+      created.$gte = parseDate(query.createdAfter, 'createdAfter');
+    }
+    if (query.createdBefore) {
+      created.$lte = parseDate(query.createdBefore, 'createdBefore');
+    }
+    conditions.push({ created });
+  }
+
+  const cursor = query.cursor ? decodeCursor(query.cursor, sortField) : null;
+
+  return { limit, sortField, sortOrder, cursor, conditions, authorName };
+}
+
+function combine(conditions) {
+  if (conditions.length === 0) {
+    return {};
+  }
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+// runs the listing against `Model` and resolves with one page of
+// documents plus the metadata the response needs
+function paginate(Model, options) {
+  const { limit, sortField, sortOrder, cursor, conditions } = options;
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const comparison = direction === 1 ? '$gt' : '$lt';
+
+  const pageConditions = conditions.slice();
+  if (cursor) {
+    // ties on the sort field are broken by `_id`, which is unique
+    pageConditions.push({
+      $or: [
+        { [sortField]: { [comparison]: cursor.value } },
+        { [sortField]: cursor.value, _id: { [comparison]: cursor.id } }
+      ]
+    });
+  }
+
+  const totalCount = Model.count(combine(conditions));
+  const page = Model
+    .find(combine(pageConditions))
+    .sort({ [sortField]: direction, _id: direction })
+    // fetch one extra document to find out whether there is a next page
+    .limit(limit + 1);
+
+  return Promise.all([page, totalCount])
+    .then(([docs, count]) => {
+      const hasMore = docs.length > limit;
+      const items = hasMore ? docs.slice(0, limit) : docs;
+      return {
+        items,
+        totalCount: count,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null
+      };
+    });
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  paginate,
+  encodeCursor,
+  decodeCursor,
+  authorNameFilter,
+  escapeRegExp
+};
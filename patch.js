@@ -0,0 +1,84 @@
+'use strict';
+
+// `PATCH` bodies, in either of the two standard formats, told apart by
+// their content type:
+//
+//   application/merge-patch+json  RFC 7396: an object with the fields to
+//                                 change, where null removes a field
+//   application/json-patch+json   RFC 6902: a list of operations
+//
+// for posts, both apply to the post in the shape `PUT /posts/:id` takes,
+// e.g. `{"title": "…", "content": "…", "tags": ["a"], "categoryId": null}`.
+
+const jsonpatch = require('fast-json-patch');
+
+const {
+  BadRequestError, ConflictError, UnsupportedMediaTypeError
+} = require('./errors');
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+const PATCH_TYPES = [MERGE_PATCH, JSON_PATCH];
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function mergePatch(target, patch) {
+  if (!isObject(patch)) {
+    return patch;
+  }
+  const result = isObject(target) ? Object.assign({}, target) : {};
+  Object.keys(patch).forEach(key => {
+    if (key === '__proto__') {
+      throw new BadRequestError('Invalid merge patch: it may not modify prototypes');
+    }
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = mergePatch(result[key], patch[key]);
+    }
+  });
+  return result;
+}
+
+function jsonPatch(document, operations) {
+  if (!Array.isArray(operations)) {
+    throw new BadRequestError('A JSON Patch must be a list of operations');
+  }
+  try {
+    return jsonpatch.applyPatch(document, operations, true, false).newDocument;
+  } catch (err) {
+    // patches touching `__proto__` and the like are refused with a TypeError
+    if (err instanceof TypeError && err.message.startsWith('JSON-Patch:')) {
+      throw new BadRequestError('Invalid JSON Patch: it may not modify prototypes');
+    }
+    if (!(err instanceof jsonpatch.JsonPatchError)) {
+      throw err;
+    }
+    // the rest of the message is a dump of the operation and document
+    const reason = err.message.split('\n')[0];
+    // a failed `test` means the document isn't what the client expected
+    if (err.name === 'TEST_OPERATION_FAILED') {
+      throw new ConflictError(reason, { operation: err.index });
+    }
+    throw new BadRequestError(`Invalid JSON Patch: ${reason}`, { operation: err.index });
+  }
+}
+
+// `document` with the request's patch applied. `document` itself is left
+// as it was.
+function applyPatch(document, req) {
+  if (req.is(MERGE_PATCH)) {
+    if (!isObject(req.body)) {
+      throw new BadRequestError('A merge patch must be an object');
+    }
+    return mergePatch(document, req.body);
+  }
+  if (req.is(JSON_PATCH)) {
+    return jsonPatch(document, req.body);
+  }
+  throw new UnsupportedMediaTypeError(`Patches have to be sent as ${PATCH_TYPES.join(' or ')}`);
+}
+
+module.exports = { PATCH_TYPES, applyPatch };
@@ -0,0 +1,98 @@
+'use strict';
+
+// role-based authorization. every role is granted a list of permissions;
+// a `:own` suffix limits the permission to documents the user owns, an
+// `:any` suffix lifts that limit. routes declare what they need with
+// `requirePermission()` and never look at roles directly.
+
+const { ForbiddenError } = require('./errors');
+
+const ROLES = ['admin', 'editor', 'author', 'reader'];
+
+const READER_PERMISSIONS = [
+  'comments:create',
+  'comments:update:own',
+  'comments:delete:own',
+  'posts:like'
+];
+
+const AUTHOR_PERMISSIONS = READER_PERMISSIONS.concat([
+  'posts:create',
+  'posts:update:own',
+  'posts:delete:own',
+  'authors:create'
+]);
+
+const EDITOR_PERMISSIONS = AUTHOR_PERMISSIONS.concat([
+  'posts:update:any',
+  'comments:delete:any',
+  'authors:update',
+  'authors:delete',
+  'categories:manage',
+  'tags:manage'
+]);
+
+const ADMIN_PERMISSIONS = EDITOR_PERMISSIONS.concat([
+  'posts:delete:any',
+  'comments:update:any',
+  'users:manage',
+  'webhooks:manage'
+]);
+
+const ROLE_PERMISSIONS = {
+  reader: READER_PERMISSIONS,
+  author: AUTHOR_PERMISSIONS,
+  editor: EDITOR_PERMISSIONS,
+  admin: ADMIN_PERMISSIONS
+};
+
+// resolves to 'any' when `role` holds `permission` outright, 'own' when
+// it only holds it for its own documents, and null otherwise
+function permissionScope(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  if (granted.includes(permission) || granted.includes(`${permission}:any`)) {
+    return 'any';
+  }
+  if (granted.includes(`${permission}:own`)) {
+    return 'own';
+  }
+  return null;
+}
+
+// the error for a user whose role lacks `permission`
+function forbidden(role, permission) {
+  return new ForbiddenError(`Role \`${role}\` is missing the \`${permission}\` permission`, {
+    missingPermission: permission,
+    role
+  });
+}
+
+// route middleware; has to run after `requireAuth`. sets
+// `req.permission` and `req.permissionScope` for ownership checks
+// further down the chain.
+function requirePermission(permission) {
+  return (req, res, next) => {
+    const scope = permissionScope(req.user.role, permission);
+    if (!scope) {
+      return next(forbidden(req.user.role, permission));
+    }
+    req.permission = permission;
+    req.permissionScope = scope;
+    next();
+  };
+}
+
+// for routes that act on one document: a user with only the `:own`
+// flavour of the permission has to own it
+function canActOn(req, doc) {
+  return req.permissionScope === 'any' || doc.isOwnedBy(req.user);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  permissionScope,
+  requirePermission,
+  canActOn,
+  forbidden
+};
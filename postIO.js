@@ -0,0 +1,300 @@
+'use strict';
+
+// reading and writing posts as files, for the import/export CLI in
+// cli.js. whatever the format, a post is a plain record:
+//
+//   {title, slug, author: {username, firstName, lastName}, status, tags,
+//    category, created, publishAt, publishedAt, content}
+//
+// where `category` is the category's slug and dates are ISO strings.
+// nothing here touches the database.
+//
+//   json      an array of records. a .json file holding one record per
+//             line, like seed-data.json, is read as ndjson.
+//   ndjson    one record per line
+//   csv       one record per row, `author.*` as separate columns and the
+//             tags comma-separated
+//   markdown  a directory of .md files, one per post, with the content
+//             as the body and everything else as YAML front matter
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+const { slugify } = require('./slugify');
+
+const FORMATS = ['json', 'ndjson', 'csv', 'markdown'];
+
+const RECORD_FIELDS = [
+  'title', 'slug', 'author', 'status', 'tags', 'category',
+  'created', 'publishAt', 'publishedAt', 'content'
+];
+const AUTHOR_FIELDS = ['username', 'firstName', 'lastName'];
+
+const CSV_COLUMNS = [].concat(
+  ['title', 'slug'],
+  AUTHOR_FIELDS.map(field => `author.${field}`),
+  ['status', 'tags', 'category', 'created', 'publishAt', 'publishedAt', 'content']);
+
+// guesses the format from the file name: directories hold Markdown
+function detectFormat(location) {
+  return fs.promises
+    .stat(location)
+    .then(stats => stats.isDirectory(), () => false)
+    .then(isDirectory => {
+      if (isDirectory) {
+        return 'markdown';
+      }
+      const extension = path.extname(location).toLowerCase();
+      if (extension === '.ndjson' || extension === '.jsonl') {
+        return 'ndjson';
+      }
+      if (extension === '.csv') {
+        return 'csv';
+      }
+      if (extension === '.md') {
+        return 'markdown';
+      }
+      return 'json';
+    });
+}
+
+// the record's fields in a fixed order, leaving out the missing ones and
+// whatever isn't part of a record
+function pickFields(record) {
+  const picked = {};
+  RECORD_FIELDS.forEach(field => {
+    let value = record[field];
+    if (value === undefined || value === null || value === '') {
+      return;
+    }
+    if (value instanceof Date) {
+      value = value.toISOString();
+    }
+    picked[field] = value;
+  });
+  return picked;
+}
+
+function parseJsonLines(text) {
+  return text.split(/\r?\n/)
+    .map((line, i) => ({ line, source: `line ${i + 1}` }))
+    .filter(({ line }) => line.trim())
+    .map(({ line, source }) => {
+      try {
+        return { source, record: JSON.parse(line) };
+      } catch (err) {
+        return { source, error: `Invalid JSON: ${err.message}` };
+      }
+    });
+}
+
+function parseJson(text) {
+  if (!text.trim().startsWith('[')) {
+    return parseJsonLines(text);
+  }
+  const records = JSON.parse(text);
+  return records.map((record, i) => ({ source: `record ${i + 1}`, record }));
+}
+
+// the rows of `text` as arrays of strings, following RFC 4180: fields
+// may be quoted, and quoted fields may hold commas, quotes ("") and
+// line breaks
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (c === '"') {
+        quoted = false;
+      } else {
+        field += c;
+      }
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ',') {
+      row.push(field);
+      field = '';
+    } else if (c === '\r' || c === '\n') {
+      if (c === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += c;
+    }
+  }
+  if (quoted) {
+    throw new Error('Invalid CSV: a quoted field is never closed');
+  }
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) {
+    return [];
+  }
+  const header = rows[0].map(column => column.trim());
+  // rows are numbered the way a spreadsheet shows them, header included
+  return rows.slice(1)
+    .map((cells, i) => ({ cells, source: `row ${i + 2}` }))
+    .filter(({ cells }) => cells.some(cell => cell.trim()))
+    .map(({ cells, source }) => {
+      const record = {};
+      header.forEach((column, i) => {
+        const value = cells[i];
+        if (value === undefined || value === '') {
+          return;
+        }
+        if (column.startsWith('author.')) {
+          record.author = record.author || {};
+          record.author[column.slice('author.'.length)] = value;
+        } else if (column === 'tags') {
+          record.tags = value.split(',').map(tag => tag.trim()).filter(Boolean);
+        } else {
+          record[column] = value;
+        }
+      });
+      return { source, record };
+    });
+}
+
+function csvField(value) {
+  const text = value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatCsv(records) {
+  const rows = records.map(record => CSV_COLUMNS.map(column => {
+    if (column.startsWith('author.')) {
+      return csvField((record.author || {})[column.slice('author.'.length)]);
+    }
+    if (column === 'tags') {
+      return csvField((record.tags || []).join(','));
+    }
+    return csvField(record[column]);
+  }).join(','));
+  return [CSV_COLUMNS.join(',')].concat(rows).join('\r\n') + '\r\n';
+}
+
+const FRONT_MATTER = /^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/;
+
+// a post from a Markdown file with YAML front matter. YAML turns
+// unquoted dates into Date objects, which `pickFields` turns back.
+function parseMarkdownFile(text) {
+  const match = text.match(FRONT_MATTER);
+  if (!match) {
+    throw new Error('Missing YAML front matter');
+  }
+  const frontMatter = yaml.load(match[1]) || {};
+  if (typeof frontMatter !== 'object' || Array.isArray(frontMatter)) {
+    throw new Error('The front matter must be a mapping');
+  }
+  return pickFields(Object.assign({}, frontMatter, {
+    content: text.slice(match[0].length).replace(/^\r?\n/, '')
+  }));
+}
+
+function formatMarkdownFile(record) {
+  const frontMatter = Object.assign({}, record);
+  delete frontMatter.content;
+  return `---\n${yaml.dump(frontMatter)}---\n\n${record.content || ''}`;
+}
+
+function readMarkdown(location) {
+  return fs.promises
+    .stat(location)
+    .then(stats => {
+      if (!stats.isDirectory()) {
+        return [{ directory: path.dirname(location), name: path.basename(location) }];
+      }
+      return fs.promises
+        .readdir(location)
+        .then(names => names
+          .filter(name => name.endsWith('.md'))
+          .sort()
+          .map(name => ({ directory: location, name })));
+    })
+    .then(files => Promise.all(files.map(({ directory, name }) => fs.promises
+      .readFile(path.join(directory, name), 'utf8')
+      .then(text => {
+        try {
+          return { source: name, record: parseMarkdownFile(text) };
+        } catch (err) {
+          return { source: name, error: err.message };
+        }
+      }))));
+}
+
+// one file per post, named after its slug. posts that would end up with
+// the same file name get a counter, as slugs do.
+function writeMarkdown(location, records) {
+  const used = new Set();
+  return fs.promises
+    .mkdir(location, { recursive: true })
+    .then(() => Promise.all(records.map(record => {
+      const base = record.slug || slugify(record.title || '') || 'post';
+      let name = base;
+      for (let n = 2; used.has(name); n++) {
+        name = `${base}-${n}`;
+      }
+      used.add(name);
+      return fs.promises.writeFile(
+        path.join(location, `${name}.md`), formatMarkdownFile(record));
+    })));
+}
+
+const PARSERS = { json: parseJson, ndjson: parseJsonLines, csv: parseCsv };
+
+const FORMATTERS = {
+  json: records => `${JSON.stringify(records, null, 2)}\n`,
+  ndjson: records => records.map(record => `${JSON.stringify(record)}\n`).join(''),
+  csv: formatCsv
+};
+
+// resolves with one entry per post found at `location`: `{source, record}`,
+// or `{source, error}` for a post that couldn't be read, where `source`
+// says where it came from ("line 3", "row 4", "hello-world.md"). rejects
+// when the file as a whole can't be read.
+function readPosts(format, location) {
+  if (format === 'markdown') {
+    return readMarkdown(location);
+  }
+  return fs.promises
+    .readFile(location, 'utf8')
+    .then(text => PARSERS[format](text.replace(/^\uFEFF/, '')))
+    .then(entries => entries.map(entry => {
+      if (entry.error) {
+        return entry;
+      }
+      if (!entry.record || typeof entry.record !== 'object' || Array.isArray(entry.record)) {
+        return { source: entry.source, error: 'Expected an object' };
+      }
+      return { source: entry.source, record: pickFields(entry.record) };
+    }));
+}
+
+function writePosts(format, location, records) {
+  const picked = records.map(pickFields);
+  if (format === 'markdown') {
+    return writeMarkdown(location, picked);
+  }
+  return fs.promises.writeFile(location, FORMATTERS[format](picked));
+}
+
+module.exports = { FORMATS, detectFormat, readPosts, writePosts };
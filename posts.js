@@ -0,0 +1,205 @@
+'use strict';
+
+// listing and changing posts, apart from HTTP. the REST routes in
+// postsRouter.js and the GraphQL API in graphqlSchema.js both go through
+// these, so they apply the same rules and emit the same post events
+// (see events.js). request bodies are expected to be valid already, see
+// validation.js.
+
+const { Author, BlogPost, Category } = require('./models');
+const { BadRequestError } = require('./errors');
+const { parseListQuery, paginate, authorNameFilter } = require('./pagination');
+const { slugify } = require('./slugify');
+const { savePostRevision, recordInitialRevision } = require('./revisions');
+const { postEvents } = require('./events');
+
+// resolves the `author` name filter of the post routes into a condition
+// on the ids of every matching author
+function authorConditions(name) {
+  if (!name) {
+    return Promise.resolve([]);
+  }
+  return Author
+    .find({ $and: authorNameFilter(name) })
+    .then(authors => [{ author: { $in: authors.map(author => author._id) } }]);
+}
+
+// resolves the `categoryId` of a request body to the category's id: null
+// when the body clears the category, undefined when it doesn't mention it
+function categoryFromBody(body) {
+  if (!body.categoryId) {
+    return Promise.resolve(body.categoryId);
+  }
+  return Category
+    .findById(body.categoryId)
+    .then(category => {
+      if (!category) {
+        throw new BadRequestError(`Category \`${body.categoryId}\` not found`);
+      }
+      return category._id;
+    });
+}
+
+function findAuthor(authorId) {
+  return Author
+    .findById(authorId)
+    .then(author => {
+      if (!author) {
+        throw new BadRequestError(`Author \`${authorId}\` not found`);
+      }
+      return author;
+    });
+}
+
+// one page of the posts `user` may see (anonymous readers only ever see
+// published posts), given the query parameters of `GET /posts`. resolves
+// with `{items, nextCursor, totalCount}`.
+function listPosts(query, user) {
+  return Promise.resolve()
+    .then(() => {
+      const options = parseListQuery(query);
+
+      const filters = [];
+      if (query.status) {
+        filters.push({ status: query.status });
+      }
+      if (query.tag) {
+        filters.push({ tags: slugify(query.tag) });
+      }
+
+      return authorConditions(options.authorName)
+        .then(conditions => paginate(BlogPost, Object.assign({}, options, {
+          conditions: options.conditions.concat(
+            conditions, filters, BlogPost.visibleTo(user))
+        })));
+    });
+}
+
+// creates a post from a `POST /posts` body, owned by `user`
+function createPost(body, user) {
+  return Promise
+    .all([findAuthor(body.authorId), categoryFromBody(body)])
+    .then(([author, category]) => new BlogPost({
+      title: body.title,
+      content: body.content,
+      author,
+      tags: body.tags || [],
+      category: category || null,
+      owner: user._id
+    }).saveWithSlug())
+    .then(post => recordInitialRevision(post, user)
+      .then(() => {
+        postEvents.emit('post.created', post);
+        return post;
+      }));
+}
+
+// the post in the shape `PUT /posts/:id` takes, which is also what
+// `PATCH /posts/:id` patches
+function editableFields(post) {
+  const fields = {
+    title: post.title,
+    content: post.content || '',
+    authorId: String(post.authorId),
+    tags: post.tags.slice()
+  };
+  if (post.category) {
+    fields.categoryId = String(post.category);
+  }
+  return fields;
+}
+
+// replaces the editable fields of `post` with those of `body`, a
+// `PUT /posts/:id` body, and resolves with the saved post. every update
+// is kept as a revision, see revisions.js.
+function updatePost(post, body, user) {
+  return Promise
+    .all([findAuthor(body.authorId), categoryFromBody(body)])
+    .then(([author, category]) => savePostRevision(post, {
+      title: body.title,
+      content: body.content,
+      author,
+      // normalized here rather than on save, so that tags given in
+      // another spelling don't count as a change
+      tags: BlogPost.normalizeTags(body.tags || []),
+      category: category || null
+    }, user))
+    .then(({ post: saved, revision }) => {
+      if (revision) {
+        postEvents.emit('post.updated', saved);
+      }
+      return saved;
+    });
+}
+
+// moves `post` to `status`, see `transitionTo` in models.js. the event
+// carries the status the post had before, so that the live stream can
+// tell readers who could see the post until now that it's gone.
+function transitionPost(post, status, publishAt) {
+  const previousStatus = post.status;
+  return post
+    .transitionTo(status, publishAt)
+    .save()
+    .then(saved => {
+      postEvents.emit('post.updated', saved, previousStatus);
+      return saved;
+    });
+}
+
+// publishes the scheduled posts that are due, see `publishDue` in
+// models.js, and resolves with how many there were
+function publishDuePosts(now) {
+  return BlogPost
+    .publishDue(now)
+    .then(posts => {
+      posts.forEach(post => postEvents.emit('post.updated', post, 'scheduled'));
+      return posts.length;
+    });
+}
+
+// brings the content of revision `number` back as a new revision, with
+// `changes` the fields to take from it
+function restoreRevision(post, changes, user, number) {
+  return savePostRevision(post, changes, user, number)
+    .then(({ post: saved }) => {
+      postEvents.emit('post.updated', saved);
+      return saved;
+    });
+}
+
+// moves `post` to the trash; it can be restored until the purge job
+// removes it for good after `TRASH_RETENTION_DAYS`
+function trashPost(post, user) {
+  return post
+    .trash(user)
+    .save()
+    .then(trashed => {
+      postEvents.emit('post.deleted', trashed);
+      return trashed;
+    });
+}
+
+// takes `post` back out of the trash
+function restorePost(post) {
+  return post
+    .restore()
+    .save()
+    .then(restored => {
+      postEvents.emit('post.updated', restored);
+      return restored;
+    });
+}
+
+module.exports = {
+  authorConditions,
+  categoryFromBody,
+  listPosts,
+  createPost,
+  editableFields,
+  updatePost,
+  transitionPost,
+  publishDuePosts,
+  restoreRevision,
+  trashPost,
+  restorePost
+};
@@ -0,0 +1,457 @@
+'use strict';
+
+const express = require('express');
+
+const { Author, BlogPost, Category, Comment, Revision } = require('./models');
+const { authorize, optionalAuth } = require('./auth');
+const { canActOn, forbidden } = require('./permissions');
+const { BadRequestError, ConflictError, NotFoundError } = require('./errors');
+const { searchPosts } = require('./search');
+const { streamPosts } = require('./stream');
+const { diffRevisions } = require('./revisions');
+const {
+  authorConditions, listPosts, createPost, editableFields, updatePost,
+  transitionPost, restoreRevision, trashPost, restorePost
+} = require('./posts');
+const { validate, validateBody } = require('./validation');
+const { upload, storeFile } = require('./attachments');
+const { getStorage } = require('./storage');
+const { routeRateLimit } = require('./rateLimit');
+const { postETag, sendJson, checkIfMatch } = require('./caching');
+const { applyPatch } = require('./patch');
+const {
+  windowDays, recordView, likePost, unlikePost, popularPosts, postStats
+} = require('./analytics');
+
+// the post routes, along with the trash. the comments of a post have a
+// router of their own, see commentsRouter.js.
+const router = express.Router();
+
+// anonymous readers only ever see published posts; `?status=` narrows
+// the listing down further for users who can see the others too.
+// `?tag=` lists the posts carrying a tag.
+router.get('/posts', optionalAuth, validate('GET /posts'), (req, res, next) => {
+  listPosts(req.query, req.user)
+    .then(({ items, nextCursor, totalCount }) => {
+      console.info(`found ${items.length} of ${totalCount} records`);
+      sendJson(req, res, {
+        posts: items.map(post => post.serialize()),
+        nextCursor,
+        totalCount
+      });
+    })
+    .catch(next);
+});
+
+// registered ahead of `/posts/:id` so that "search" isn't taken for an id
+router.get('/posts/search', optionalAuth, validate('GET /posts/search'), (req, res, next) => {
+  const q = req.query.q.trim();
+  if (!q) {
+    return next(new BadRequestError('`q` must not be blank'));
+  }
+
+  authorConditions(req.query.author)
+    .then(conditions => searchPosts(BlogPost, q, {
+      limit: req.query.limit || 10,
+      conditions: conditions.concat(BlogPost.visibleTo(req.user))
+    }))
+    .then(results => {
+      res.json({
+        query: q,
+        results: results.map(result => Object.assign(result.doc.serialize(), {
+          score: result.score,
+          highlights: result.highlights
+        }))
+      });
+    })
+    .catch(next);
+});
+
+// post events as they happen, as Server-Sent Events; see stream.js.
+// registered ahead of `/posts/:id` like the search.
+router.get('/posts/stream', optionalAuth, validate('GET /posts/stream'), streamPosts);
+
+// the posts with the most engagement over the last `?window=` days, "7d"
+// unless asked otherwise, see `popularPosts`. registered ahead of
+// `/posts/:id` like the search.
+router.get('/posts/popular', optionalAuth, validate('GET /posts/popular'), (req, res, next) => {
+  const window = req.query.window || '7d';
+
+  Promise.resolve()
+    .then(() => popularPosts(windowDays(window), req.user, req.query.limit || 10))
+    .then(ranked => {
+      res.json({
+        window,
+        posts: ranked.map(({ post, views, likes, score }) => Object.assign(post.serialize(), {
+          engagement: { views, likes, score }
+        }))
+      });
+    })
+    .catch(next);
+});
+
+// `sendJson` for a post being read, which counts as a view of it, see
+// `recordView`. so that every read reaches the server, the response is
+// kept out of shared caches. a 304 is a client revalidating a copy it
+// already has, and doesn't count. the view is recorded after the
+// response is sent: reads don't wait for analytics, and `recordView`
+// logs what goes wrong rather than failing.
+function sendViewedPost(req, res, post, data, lastModified) {
+  return sendJson(req, res, data, lastModified, {
+    shared: false,
+    onSent: () => recordView(post, req)
+  });
+}
+
+// a post by its current slug, or a 301 pointing at the current slug when
+// `slug` is one the post had before it was retitled. takes `?format=`
+// like `GET /posts/:id`.
+router.get('/posts/by-slug/:slug', optionalAuth, validate('GET /posts/by-slug/:slug'),
+  (req, res, next) => {
+  const slug = req.params.slug;
+
+  BlogPost
+    .findOne({
+      $and: [{ $or: [{ slug }, { slugHistory: slug }] }].concat(BlogPost.visibleTo(req.user))
+    })
+    .then(post => {
+      if (!post) {
+        throw new NotFoundError('Post not found');
+      }
+      if (post.slug === slug) {
+        return sendViewedPost(req, res, post,
+          post.serialize({ format: req.query.format }), post.lastModified);
+      }
+      const query = req.originalUrl.split('?')[1];
+      const location = `${req.baseUrl}/posts/by-slug/${post.slug}${query ? `?${query}` : ''}`;
+      res
+        .status(301)
+        .location(location)
+        .json({ id: post._id, slug: post.slug, location });
+    })
+    .catch(next);
+});
+
+// `?include=comments` embeds the threaded comments in the response,
+// `?include=commentCount` only their number. `?format=html` returns the
+// content as sanitized HTML instead of Markdown, `?format=both` both.
+// comments come and go without the post changing, so responses that
+// include them go without `Last-Modified`. reading a post counts as a
+// view of it, see `sendViewedPost`.
+router.get('/posts/:id', optionalAuth, validate('GET /posts/:id'), (req, res, next) => {
+  const include = req.query.include;
+  const format = req.query.format;
+
+  BlogPost
+    .findOne({ $and: [{ _id: req.params.id }].concat(BlogPost.visibleTo(req.user)) })
+    .then(post => {
+      if (!post) {
+        throw new NotFoundError('Post not found');
+      }
+      if (include === 'comments') {
+        return Comment
+          .find({ post: post._id })
+          .sort({ created: 1 })
+          .then(comments => sendViewedPost(req, res, post,
+            post.serialize({ format, comments: Comment.thread(comments) })));
+      }
+      if (include === 'commentCount') {
+        return Comment
+          .count({ post: post._id })
+          .then(commentCount => sendViewedPost(req, res, post,
+            post.serialize({ format, commentCount })));
+      }
+      return sendViewedPost(req, res, post, post.serialize({ format }), post.lastModified);
+    })
+    .catch(next);
+});
+
+// loads the post named in the path onto `req.post`, failing with a 404
+// when it doesn't exist or is in the trash and a 403 when the user may
+// only act on their own posts and this one belongs to somebody else
+function requireOwnPost(req, res, next) {
+  BlogPost
+    .findOne({ _id: req.params.id, deletedAt: null })
+    .then(post => {
+      if (!post) {
+        throw new NotFoundError('Post not found');
+      }
+      if (!canActOn(req, post)) {
+        throw forbidden(req.user.role, `${req.permission}:any`);
+      }
+      req.post = post;
+      next();
+    })
+    .catch(next);
+}
+
+router.post('/posts', routeRateLimit('POST /posts'), authorize('posts:create'), validate('POST /posts'),
+  (req, res, next) => {
+  createPost(req.body, req.user)
+    .then(post => res.status(201).json(post.serialize()))
+    .catch(next);
+});
+
+
+// status transitions. each one checks that the move is allowed from the
+// post's current status, see `POST_TRANSITIONS` in models.js
+function transitionRoute(status) {
+  return (req, res, next) => {
+    const post = req.post;
+    if (!post.canTransitionTo(status)) {
+      return next(new ConflictError(`Cannot move a ${post.status} post to ${status}`));
+    }
+
+    let publishAt;
+    if (status === 'scheduled') {
+      publishAt = new Date(req.body.publishAt);
+      if (publishAt <= new Date()) {
+        return next(new BadRequestError('`publishAt` must be in the future'));
+      }
+    }
+
+    transitionPost(post, status, publishAt)
+      .then(saved => res.json(saved.serialize()))
+      .catch(next);
+  };
+}
+
+router.post('/posts/:id/publish', authorize('posts:update'),
+  validate('POST /posts/:id/publish'), requireOwnPost,
+  transitionRoute('published'));
+router.post('/posts/:id/schedule', authorize('posts:update'),
+  validate('POST /posts/:id/schedule'), requireOwnPost,
+  transitionRoute('scheduled'));
+router.post('/posts/:id/unpublish', authorize('posts:update'),
+  validate('POST /posts/:id/unpublish'), requireOwnPost,
+  transitionRoute('draft'));
+router.post('/posts/:id/archive', authorize('posts:update'),
+  validate('POST /posts/:id/archive'), requireOwnPost,
+  transitionRoute('archived'));
+
+
+// deleting only moves the post to the trash, see `trashPost`
+router.delete('/posts/:id', authorize('posts:delete'), validate('DELETE /posts/:id'),
+  requireOwnPost, (req, res, next) => {
+  trashPost(req.post, req.user)
+    .then(() => res.status(204).end())
+    .catch(next);
+});
+
+
+// answers with the post updated from `body`, a valid `PUT /posts/:id`
+// body, see `updatePost`
+function replacePost(req, res, body) {
+  return updatePost(req.post, body, req.user)
+    .then(post => res.set('ETag', postETag(post)).json(post.serialize()));
+}
+
+// PUT and PATCH take an `If-Match` with the post's ETag to make sure
+// nobody changed it in the meantime; the response carries the new ETag
+router.put('/posts/:id', authorize('posts:update'), validate('PUT /posts/:id'),
+  requireOwnPost, checkIfMatch, (req, res, next) => {
+  if ('id' in req.body && req.params.id !== req.body.id) {
+    return next(new BadRequestError(
+      'Request path id and request body id values must match'));
+  }
+  replacePost(req, res, req.body).catch(next);
+});
+
+router.patch('/posts/:id', authorize('posts:update'), validate('PATCH /posts/:id'),
+  requireOwnPost, checkIfMatch, (req, res, next) => {
+  Promise.resolve()
+    .then(() => {
+      const patched = applyPatch(editableFields(req.post), req);
+      validateBody('PUT /posts/:id', patched);
+      return replacePost(req, res, patched);
+    })
+    .catch(next);
+});
+
+
+// uploads a file for the post: a multipart request with the file in
+// `file` and, optionally, `kind=cover` to make it the cover image, which
+// replaces any earlier cover. the post is looked up first, so that an
+// upload to somebody else's post is turned away before it is read in.
+router.post('/posts/:id/attachments', authorize('posts:update'), requireOwnPost, upload,
+  validate('POST /posts/:id/attachments'), (req, res, next) => {
+  const post = req.post;
+  const kind = req.body.kind || 'inline';
+  const previousCover = kind === 'cover' ? post.cover : null;
+
+  storeFile(post, req.file, kind)
+    .then(fields => {
+      if (previousCover) {
+        post.attachments.pull(previousCover._id);
+      }
+      post.attachments.push(fields);
+      return post.save();
+    })
+    .then(saved => {
+      const attachment = saved.attachments[saved.attachments.length - 1];
+      return (previousCover ? getStorage().remove(previousCover.key) : Promise.resolve())
+        .then(() => res.status(201).json(attachment.serialize()));
+    })
+    .catch(next);
+});
+
+router.delete('/posts/:id/attachments/:attachmentId', authorize('posts:update'),
+  validate('DELETE /posts/:id/attachments/:attachmentId'), requireOwnPost, (req, res, next) => {
+  const attachment = req.post.attachments.id(req.params.attachmentId);
+  if (!attachment) {
+    return next(new NotFoundError('Attachment not found'));
+  }
+
+  req.post.attachments.pull(attachment._id);
+  req.post
+    .save()
+    .then(() => getStorage().remove(attachment.key))
+    .then(() => res.status(204).end())
+    .catch(next);
+});
+
+
+// liking and unliking, for anybody signed in who can see the post. both
+// answer with whether the user likes the post now and its like count.
+function likeRoute(action) {
+  return (req, res, next) => {
+    BlogPost
+      .findOne({ $and: [{ _id: req.params.id }].concat(BlogPost.visibleTo(req.user)) })
+      .then(post => {
+        if (!post) {
+          throw new NotFoundError('Post not found');
+        }
+        return action(post, req.user);
+      })
+      .then(result => res.json(result))
+      .catch(next);
+  };
+}
+
+router.post('/posts/:id/like', authorize('posts:like'), validate('POST /posts/:id/like'),
+  likeRoute(likePost));
+router.delete('/posts/:id/like', authorize('posts:like'), validate('DELETE /posts/:id/like'),
+  likeRoute(unlikePost));
+
+// views and likes of the post day by day over the last `?window=` days,
+// "30d" unless asked otherwise. for the people who may edit the post.
+router.get('/posts/:id/stats', authorize('posts:update'), validate('GET /posts/:id/stats'),
+  requireOwnPost, (req, res, next) => {
+  Promise.resolve()
+    .then(() => postStats(req.post, windowDays(req.query.window || '30d')))
+    .then(stats => res.json(stats))
+    .catch(next);
+});
+
+
+// revision history is for the people who may edit the post
+router.get('/posts/:id/revisions', authorize('posts:update'),
+  validate('GET /posts/:id/revisions'), requireOwnPost, (req, res, next) => {
+  Revision
+    .find({ post: req.post._id })
+    .sort({ number: -1 })
+    .then(revisions => res.json(revisions.map(revision => revision.serialize())))
+    .catch(next);
+});
+
+// `?from=<n>&to=<m>` compares two revisions of the post
+router.get('/posts/:id/revisions/diff', authorize('posts:update'),
+  validate('GET /posts/:id/revisions/diff'), requireOwnPost, (req, res, next) => {
+  const { from, to } = req.query;
+
+  Revision
+    .find({ post: req.post._id, number: { $in: [from, to] } })
+    .then(revisions => {
+      const fromRevision = revisions.find(revision => revision.number === from);
+      const toRevision = revisions.find(revision => revision.number === to);
+      if (!fromRevision || !toRevision) {
+        throw new NotFoundError('Revision not found');
+      }
+      res.json({ from, to, changes: diffRevisions(fromRevision, toRevision) });
+    })
+    .catch(next);
+});
+
+router.get('/posts/:id/revisions/:rev', authorize('posts:update'),
+  validate('GET /posts/:id/revisions/:rev'), requireOwnPost, (req, res, next) => {
+  Revision
+    .findOne({ post: req.post._id, number: req.params.rev })
+    .then(revision => {
+      if (!revision) {
+        throw new NotFoundError('Revision not found');
+      }
+      res.json(revision.serialize());
+    })
+    .catch(next);
+});
+
+// rolling back is itself an edit: the old content comes back as a new
+// revision, so the history in between is kept
+router.post('/posts/:id/revisions/:rev/restore', authorize('posts:update'),
+  validate('POST /posts/:id/revisions/:rev/restore'), requireOwnPost, (req, res, next) => {
+  const number = req.params.rev;
+
+  Revision
+    .findOne({ post: req.post._id, number })
+    .then(revision => {
+      if (!revision) {
+        throw new NotFoundError('Revision not found');
+      }
+
+      // the author or category may have been deleted since; keep the
+      // current ones then. revisions from before posts had tags and
+      // categories leave those alone.
+      return Promise
+        .all([
+          Author.findById(revision.author),
+          revision.category ? Category.findById(revision.category) : null
+        ])
+        .then(([author, category]) => {
+          const changes = { title: revision.title, content: revision.content };
+          if (author) {
+            changes.author = author;
+          }
+          if (revision.tags) {
+            changes.tags = revision.tags.slice();
+          }
+          if (revision.category === null || category) {
+            changes.category = revision.category;
+          }
+          return restoreRevision(req.post, changes, req.user, number);
+        })
+        .then(post => res.json(post.serialize()));
+    })
+    .catch(next);
+});
+
+
+router.get('/trash', authorize('posts:delete'), validate('GET /trash'), (req, res, next) => {
+  const conditions = [{ deletedAt: { $ne: null } }];
+  if (req.permissionScope === 'own') {
+    conditions.push({ owner: req.user._id });
+  }
+
+  BlogPost
+    .find({ $and: conditions })
+    .sort({ deletedAt: -1 })
+    .then(posts => res.json(posts.map(post => post.serialize())))
+    .catch(next);
+});
+
+router.post('/posts/:id/restore', authorize('posts:delete'),
+  validate('POST /posts/:id/restore'), (req, res, next) => {
+  BlogPost
+    .findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+    .then(post => {
+      if (!post) {
+        throw new NotFoundError('Post not found in the trash');
+      }
+      if (!canActOn(req, post)) {
+        throw forbidden(req.user.role, `${req.permission}:any`);
+      }
+      return restorePost(post).then(restored => res.json(restored.serialize()));
+    })
+    .catch(next);
+});
+
+module.exports = router;
@@ -0,0 +1,163 @@
+'use strict';
+
+// rate limiting. each client, a signed-in user or else an IP address, has
+// a budget of requests per window for reads and another for writes, and
+// busy routes can have budgets of their own (see `RATE_LIMITS` in
+// config.js). a request over any of its budgets gets a 429.
+//
+// the counts live in a store, which is any object with
+//
+//   increment(key, windowMs) -> Promise of {count, resetAt}
+//   reset()                  -> Promise, forgets every count
+//
+// `MemoryStore`, the default, keeps them in this process. with several
+// server processes a shared store (Redis, say) should be swapped in with
+// `setStore()` before the server starts.
+
+const { API_PREFIX, RATE_LIMITS } = require('./config');
+const { bearerToken, tokenSubject } = require('./auth');
+const { TooManyRequestsError } = require('./errors');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+// versioned and not, like every route
+const GRAPHQL_PATHS = [`${API_PREFIX}/graphql`, '/graphql'];
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// fixed windows: a client's first request starts one, and its count goes
+// back to zero when the window is over
+class MemoryStore {
+  constructor() {
+    this.windows = new Map();
+    this.nextSweep = 0;
+  }
+
+  increment(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return Promise.resolve({ count: window.count, resetAt: window.resetAt });
+  }
+
+  reset() {
+    this.windows.clear();
+    return Promise.resolve();
+  }
+
+  // drops the windows that are over now and then, so clients that went
+  // away don't stay in memory
+  sweep(now) {
+    if (now < this.nextSweep) {
+      return;
+    }
+    this.windows.forEach((window, key) => {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    });
+    this.nextSweep = now + SWEEP_INTERVAL_MS;
+  }
+}
+
+let store = new MemoryStore();
+
+function getStore() {
+  return store;
+}
+
+function setStore(backend) {
+  store = backend;
+}
+
+// who a request counts against. the token is only checked against its
+// signature, so this costs no database lookup; a bad token is limited
+// by IP like an anonymous request.
+function clientKey(req) {
+  const token = bearerToken(req);
+  const userId = token ? tokenSubject(token) : null;
+  return userId ? `user:${userId}` : `ip:${req.ip}`;
+}
+
+// counts the request against the budget `name` and rejects with a 429
+// once that is used up. the `X-RateLimit-*` headers describe whichever
+// of the request's budgets has the least left.
+function chargeBudget(name, limit, req, res) {
+  return store
+    .increment(`${name}:${clientKey(req)}`, limit.windowMs)
+    .then(({ count, resetAt }) => {
+      const remaining = Math.max(0, limit.max - count);
+      if (!req.rateLimit || remaining < req.rateLimit.remaining) {
+        req.rateLimit = { limit: limit.max, remaining, resetAt };
+        res.set({
+          'X-RateLimit-Limit': String(limit.max),
+          'X-RateLimit-Remaining': String(remaining),
+          'X-RateLimit-Reset': String(Math.ceil(resetAt / 1000))
+        });
+      }
+      if (count > limit.max) {
+        const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+        res.set('Retry-After', String(retryAfter));
+        throw new TooManyRequestsError('Too many requests, please try again later', { retryAfter });
+      }
+    });
+}
+
+function checkBudget(name, limit, req, res, next) {
+  chargeBudget(name, limit, req, res)
+    .then(() => next())
+    .catch(next);
+}
+
+function isGraphqlRequest(req) {
+  // routes match case-insensitively and with or without a trailing slash
+  const path = req.path.toLowerCase().replace(/\/+$/, '');
+  return req.method === 'POST' && GRAPHQL_PATHS.includes(path);
+}
+
+// the app-wide read and write budgets. GraphQL requests are POSTs whether
+// they read or write, so they're left to `requestRateLimit` on the
+// GraphQL route, which can tell once the body is parsed.
+function rateLimit(req, res, next) {
+  if (isGraphqlRequest(req)) {
+    return next();
+  }
+  const budget = READ_METHODS.includes(req.method) ? 'read' : 'write';
+  checkBudget(budget, RATE_LIMITS[budget], req, res, next);
+}
+
+// route middleware charging the request to the app-wide budget named by
+// `budgetOf(req)`, 'read' or 'write'
+function requestRateLimit(budgetOf) {
+  return (req, res, next) => {
+    const budget = budgetOf(req);
+    checkBudget(budget, RATE_LIMITS[budget], req, res, next);
+  };
+}
+
+// `routeRateLimit(name)` for requests that reach the same action some
+// other way (through GraphQL, say): resolves, or rejects with a 429
+function chargeRouteBudget(name, req, res) {
+  const limit = RATE_LIMITS.routes[name];
+  return limit ? chargeBudget(name, limit, req, res) : Promise.resolve();
+}
+
+// route middleware adding the budget configured for `name` in
+// `RATE_LIMITS.routes`, if there is one
+function routeRateLimit(name) {
+  return (req, res, next) => {
+    const limit = RATE_LIMITS.routes[name];
+    if (!limit) {
+      return next();
+    }
+    checkBudget(name, limit, req, res, next);
+  };
+}
+
+module.exports = {
+  MemoryStore, getStore, setStore, rateLimit, requestRateLimit, routeRateLimit,
+  chargeRouteBudget
+};
@@ -0,0 +1,226 @@
+'use strict';
+
+// revision history for posts: every change to a post's editable fields
+// goes through `savePostRevision`, which saves the post and stores the
+// new state as an immutable Revision. also home to the diff shown
+// between two revisions.
+
+const { Revision } = require('./models');
+
+const REVISIONED_FIELDS = ['title', 'content', 'author', 'tags', 'category'];
+
+const DUPLICATE_KEY = 11000;
+// how many revision numbers an edit tries before giving up. more than
+// one is only needed when edits of the same post race each other.
+const NUMBER_ATTEMPTS = 5;
+
+// the revisioned fields of `post` as plain values
+function snapshot(post) {
+  return {
+    title: post.title,
+    content: post.content,
+    author: post.authorId,
+    tags: post.tags.slice(),
+    category: post.category
+  };
+}
+
+function changedFields(before, after) {
+  return REVISIONED_FIELDS.filter(field => String(before[field]) !== String(after[field]));
+}
+
+function createRevision(post, number, fields) {
+  return Revision.create(Object.assign(snapshot(post), { post: post._id, number }, fields));
+}
+
+// stores `post` as its next revision. the unique (post, number) index
+// turns the revision away when a concurrent edit took the number first;
+// it then goes for the number after that.
+function createNextRevision(post, fields, attempts = NUMBER_ATTEMPTS) {
+  return Revision
+    .latestNumber(post._id)
+    .then(latest => createRevision(post, latest + 1, fields))
+    .catch(err => {
+      if (err.code === DUPLICATE_KEY && attempts > 1) {
+        return createNextRevision(post, fields, attempts - 1);
+      }
+      throw err;
+    });
+}
+
+// posts written before revision history existed have no revisions yet,
+// so their current state is stored as revision 1 before it's overwritten
+function recordLegacyRevision(post) {
+  return Revision
+    .latestNumber(post._id)
+    .then(latest => {
+      if (latest > 0) {
+        return null;
+      }
+      return createRevision(post, 1, {
+        created: post.updated || post.created,
+        editor: post.owner || null,
+        changedFields: []
+      }).catch(err => {
+        // a concurrent edit stored it already
+        if (err.code !== DUPLICATE_KEY) {
+          throw err;
+        }
+      });
+    });
+}
+
+// applies `changes` (any of the `REVISIONED_FIELDS`) to `post`,
+// saves it and records the result as the next revision. resolves with
+// `{post, revision}`; `revision` is null when nothing actually changed.
+//
+// the revision is stored first, so that it has its number before the
+// post is saved; should saving the post fail, the revision goes again.
+function savePostRevision(post, changes, editor, restoredFrom = null) {
+  const before = snapshot(post);
+
+  return recordLegacyRevision(post)
+    .then(() => {
+      Object.keys(changes).forEach(field => {
+        post[field] = changes[field];
+      });
+      const changed = changedFields(before, snapshot(post));
+      if (changed.length === 0) {
+        return { post, revision: null };
+      }
+
+      post.updated = new Date();
+      return createNextRevision(post, {
+        created: post.updated,
+        editor: editor ? editor._id : null,
+        changedFields: changed,
+        restoredFrom
+      })
+        .then(revision => post
+          .saveWithSlug()
+          .then(
+            saved => ({ post: saved, revision }),
+            err => Revision.remove({ _id: revision._id }).then(() => {
+              throw err;
+            })));
+    });
+}
+
+// records revision 1 for a post that was just created
+function recordInitialRevision(post, editor) {
+  return createRevision(post, 1, {
+    created: post.created,
+    editor: editor ? editor._id : null,
+    changedFields: REVISIONED_FIELDS.slice()
+  });
+}
+
+// how large a table the line diff may build: the lines that changed in
+// one text times those that changed in the other. past that the changed
+// lines are shown as removed and added wholesale, rather than tying up
+// the server (posts may run to tens of thousands of lines).
+const MAX_DIFF_CELLS = 1000000;
+
+function unchanged(lines) {
+  return lines.map(line => ({ op: ' ', line }));
+}
+
+// classic longest-common-subsequence diff of two lists of lines, or all
+// of `from` removed and all of `to` added when the table would be too big
+function lcsDiff(from, to) {
+  const width = to.length + 1;
+  if ((from.length + 1) * width > MAX_DIFF_CELLS) {
+    return from.map(line => ({ op: '-', line })).concat(to.map(line => ({ op: '+', line })));
+  }
+
+  // lengths[i * width + j] is the LCS length of from[i..] and to[j..]
+  const lengths = new Uint32Array((from.length + 1) * width);
+  for (let i = from.length - 1; i >= 0; i--) {
+    for (let j = to.length - 1; j >= 0; j--) {
+      lengths[i * width + j] = from[i] === to[j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < from.length && j < to.length) {
+    if (from[i] === to[j]) {
+      result.push({ op: ' ', line: from[i] });
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      result.push({ op: '-', line: from[i++] });
+    } else {
+      result.push({ op: '+', line: to[j++] });
+    }
+  }
+  while (i < from.length) {
+    result.push({ op: '-', line: from[i++] });
+  }
+  while (j < to.length) {
+    result.push({ op: '+', line: to[j++] });
+  }
+  return result;
+}
+
+// line diff of two texts. returns a list of `{op, line}` where op is ' '
+// (unchanged), '-' (removed) or '+' (added). the lines the texts start
+// and end with in common are left out of the LCS table, which keeps it
+// small for the usual edit.
+function diffLines(a, b) {
+  const from = (a || '').split('\n');
+  const to = (b || '').split('\n');
+
+  let start = 0;
+  while (start < from.length && start < to.length && from[start] === to[start]) {
+    start++;
+  }
+  let fromEnd = from.length;
+  let toEnd = to.length;
+  while (fromEnd > start && toEnd > start && from[fromEnd - 1] === to[toEnd - 1]) {
+    fromEnd--;
+    toEnd--;
+  }
+
+  return unchanged(from.slice(0, start))
+    .concat(lcsDiff(from.slice(start, fromEnd), to.slice(start, toEnd)))
+    .concat(unchanged(from.slice(fromEnd)));
+}
+
+// the fields that differ between two revisions. text fields come with a
+// line diff, the others only with their before and after values.
+function diffRevisions(from, to) {
+  const changes = {};
+  ['title', 'content'].forEach(field => {
+    if (from[field] !== to[field]) {
+      changes[field] = {
+        from: from[field],
+        to: to[field],
+        lines: diffLines(from[field], to[field])
+      };
+    }
+  });
+  if (String(from.author) !== String(to.author)) {
+    changes.authorId = { from: from.author, to: to.author };
+  }
+  // revisions from before tags and categories existed don't record them
+  if (from.tags && to.tags && String(from.tags) !== String(to.tags)) {
+    changes.tags = { from: from.tags, to: to.tags };
+  }
+  if (from.category !== undefined && to.category !== undefined &&
+      String(from.category) !== String(to.category)) {
+    changes.categoryId = { from: from.category, to: to.category };
+  }
+  return changes;
+}
+
+module.exports = {
+  REVISIONED_FIELDS,
+  savePostRevision,
+  recordInitialRevision,
+  diffLines,
+  diffRevisions
+};
@@ -0,0 +1,57 @@
+'use strict';
+
+// background jobs that run while the server is up. `runServer` starts
+// them and `closeServer` stops them, so tests never leave a timer behind.
+
+const { TRASH_RETENTION_DAYS } = require('./config');
+const { BlogPost } = require('./models');
+const { publishDuePosts } = require('./posts');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+function publishScheduledPosts() {
+  return publishDuePosts()
+    .then(count => {
+      if (count > 0) {
+        console.info(`published ${count} scheduled post(s)`);
+      }
+    });
+}
+
+function purgeTrash(now = new Date()) {
+  const cutoff = new Date(now.getTime() - TRASH_RETENTION_DAYS * DAY_MS);
+  return BlogPost
+    .purgeTrashed(cutoff)
+    .then(count => {
+      if (count > 0) {
+        console.info(`purged ${count} post(s) from the trash`);
+      }
+      return count;
+    });
+}
+
+// one failing job shouldn't keep the others from running
+function runJobs() {
+  return Promise.all([
+    publishScheduledPosts().catch(err => console.error(err)),
+    purgeTrash().catch(err => console.error(err))
+  ]);
+}
+
+function startScheduler(intervalMs) {
+  stopScheduler();
+  timer = setInterval(runJobs, intervalMs);
+  // a pending tick shouldn't keep the process alive on its own
+  timer.unref();
+}
+
+function stopScheduler() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = { startScheduler, stopScheduler, runJobs, purgeTrash };
@@ -0,0 +1,331 @@
+'use strict';
+
+// JSON schemas for every route, keyed by `METHOD /path` with the path
+// as seen from the outside (routers included, `/api/v1` left out). each
+// entry may describe `params`, `query` and `body`; `validate()` in
+// validation.js checks requests against them. they're also what the
+// OpenAPI document is made of, see openapi.js, with `docs` adding to it
+// what the schemas don't cover.
+
+const { MAX_LIMIT } = require('./pagination');
+const {
+  POST_STATUSES, CONTENT_FORMATS, ATTACHMENT_KINDS, WEBHOOK_EVENTS, DELIVERY_STATUSES
+} = require('./models');
+const { ROLES } = require('./permissions');
+const { MAX_SLUG_LENGTH } = require('./slugify');
+
+const TITLE_MAX_LENGTH = 200;
+const CONTENT_MAX_LENGTH = 50000;
+const NAME_MAX_LENGTH = 100;
+const COMMENT_MAX_LENGTH = 5000;
+const DESCRIPTION_MAX_LENGTH = 1000;
+const MAX_TAGS = 20;
+const PASSWORD_MIN_LENGTH = 8;
+// bcrypt ignores everything past 72 bytes
+const PASSWORD_MAX_LENGTH = 72;
+const GRAPHQL_QUERY_MAX_LENGTH = 20000;
+
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+
+const objectId = { type: 'string', pattern: OBJECT_ID_PATTERN };
+const dateTime = { type: 'string', format: 'date-time' };
+const limit = { type: 'integer', minimum: 1, maximum: MAX_LIMIT };
+
+const name = { type: 'string', minLength: 1, maxLength: NAME_MAX_LENGTH };
+const username = { type: 'string', pattern: '^\\S+$', maxLength: NAME_MAX_LENGTH };
+const title = { type: 'string', minLength: 1, maxLength: TITLE_MAX_LENGTH };
+const content = { type: 'string', maxLength: CONTENT_MAX_LENGTH };
+const tag = { type: 'string', minLength: 1, maxLength: MAX_SLUG_LENGTH };
+const tags = { type: 'array', maxItems: MAX_TAGS, items: tag };
+// null takes a post out of its category
+const categoryId = { type: ['string', 'null'], pattern: OBJECT_ID_PATTERN };
+
+function object(properties, required = []) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+// query strings routinely pick up extra parameters (cache busters and
+// the like), so those aren't rejected
+function query(properties, required = []) {
+  return { type: 'object', properties, required };
+}
+
+const idParams = object({ id: objectId }, ['id']);
+const revisionParams = object({
+  id: objectId,
+  rev: { type: 'integer', minimum: 1 }
+}, ['id', 'rev']);
+const commentParams = object({ id: objectId, commentId: objectId }, ['id', 'commentId']);
+
+const transition = { params: idParams, body: object({}) };
+
+const webhookUrl = { type: 'string', pattern: '^https?://\\S+$', maxLength: 2000 };
+const webhookEvents = {
+  type: 'array',
+  minItems: 1,
+  uniqueItems: true,
+  items: { type: 'string', enum: WEBHOOK_EVENTS }
+};
+
+const feedFormat = { type: 'string', enum: ['rss', 'atom'] };
+const contentFormat = { type: 'string', enum: CONTENT_FORMATS };
+// a number of days, "7d"; the upper bound is checked in analytics.js
+const analyticsWindow = { type: 'string', pattern: '^[1-9][0-9]{0,3}d$' };
+
+const routes = {
+  'GET /posts': {
+    query: query({
+      limit,
+      cursor: { type: 'string' },
+      sort: { type: 'string', enum: ['created', 'title'] },
+      order: { type: 'string', enum: ['asc', 'desc'] },
+      author: { type: 'string' },
+      createdAfter: dateTime,
+      createdBefore: dateTime,
+      status: { type: 'string', enum: POST_STATUSES },
+      tag
+    })
+  },
+  'GET /posts/search': {
+    query: query({
+      q: { type: 'string', minLength: 1, maxLength: TITLE_MAX_LENGTH },
+      limit,
+      author: { type: 'string' }
+    }, ['q'])
+  },
+  'GET /posts/stream': {
+    query: query({ authorId: objectId })
+  },
+  'GET /posts/popular': {
+    query: query({ window: analyticsWindow, limit })
+  },
+  'GET /posts/by-slug/:slug': {
+    params: object({
+      slug: { type: 'string', pattern: '^[a-z0-9]+(-[a-z0-9]+)*$', maxLength: NAME_MAX_LENGTH }
+    }, ['slug']),
+    query: query({ format: contentFormat })
+  },
+  'GET /posts/:id': {
+    params: idParams,
+    query: query({
+      include: { type: 'string', enum: ['comments', 'commentCount'] },
+      format: contentFormat
+    })
+  },
+  'POST /posts': {
+    body: object({ title, content, authorId: objectId, tags, categoryId },
+      ['title', 'content', 'authorId'])
+  },
+  // a full replacement: tags and category left out are cleared. `id` may
+  // be given but has to be the one in the path.
+  'PUT /posts/:id': {
+    params: idParams,
+    body: object({ id: objectId, title, content, authorId: objectId, tags, categoryId },
+      ['title', 'content', 'authorId'])
+  },
+  // the body is a merge patch or a JSON Patch, depending on its content
+  // type, and is checked in patch.js; the patched post has to make a
+  // valid `PUT /posts/:id` body
+  'PATCH /posts/:id': {
+    params: idParams,
+    docs: {
+      requestBody: {
+        required: true,
+        content: {
+          'application/merge-patch+json': { schema: { type: 'object' } },
+          'application/json-patch+json': { schema: { type: 'array', items: { type: 'object' } } }
+        }
+      }
+    }
+  },
+  'DELETE /posts/:id': { params: idParams },
+  'POST /posts/:id/publish': transition,
+  'POST /posts/:id/schedule': {
+    params: idParams,
+    body: object({ publishAt: dateTime }, ['publishAt'])
+  },
+  'POST /posts/:id/unpublish': transition,
+  'POST /posts/:id/archive': transition,
+  'POST /posts/:id/restore': { params: idParams },
+  'GET /trash': {},
+
+  // multipart; the file itself is checked in attachments.js
+  'POST /posts/:id/attachments': {
+    params: idParams,
+    body: object({ kind: { type: 'string', enum: ATTACHMENT_KINDS } }),
+    docs: {
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: object({
+              file: { type: 'string', contentMediaType: 'application/octet-stream' },
+              kind: { type: 'string', enum: ATTACHMENT_KINDS }
+            }, ['file'])
+          }
+        }
+      }
+    }
+  },
+  'DELETE /posts/:id/attachments/:attachmentId': {
+    params: object({ id: objectId, attachmentId: objectId }, ['id', 'attachmentId'])
+  },
+
+  'GET /posts/:id/revisions': { params: idParams },
+  'GET /posts/:id/revisions/diff': {
+    params: idParams,
+    query: query({
+      from: { type: 'integer', minimum: 1 },
+      to: { type: 'integer', minimum: 1 }
+    }, ['from', 'to'])
+  },
+  'GET /posts/:id/revisions/:rev': { params: revisionParams },
+  'POST /posts/:id/revisions/:rev/restore': { params: revisionParams },
+
+  'POST /posts/:id/like': { params: idParams },
+  'DELETE /posts/:id/like': { params: idParams },
+  'GET /posts/:id/stats': {
+    params: idParams,
+    query: query({ window: analyticsWindow })
+  },
+
+  // checked up front by the comments router for every comment route
+  'ALL /posts/:id/comments': { params: object({ id: objectId }) },
+  'GET /posts/:id/comments': { params: idParams },
+  'POST /posts/:id/comments': {
+    params: idParams,
+    body: object({
+      author: name,
+      content: { type: 'string', minLength: 1, maxLength: COMMENT_MAX_LENGTH },
+      parentId: objectId
+    }, ['content'])
+  },
+  'PUT /posts/:id/comments/:commentId': {
+    params: commentParams,
+    body: object({
+      content: { type: 'string', minLength: 1, maxLength: COMMENT_MAX_LENGTH }
+    }, ['content'])
+  },
+  'DELETE /posts/:id/comments/:commentId': { params: commentParams },
+
+  'GET /authors': {},
+  'GET /authors/:id': { params: idParams },
+  'POST /authors': {
+    body: object({ firstName: name, lastName: name, username },
+      ['firstName', 'lastName', 'username'])
+  },
+  'PUT /authors/:id': {
+    params: idParams,
+    body: object({ id: objectId, firstName: name, lastName: name, username }, ['id'])
+  },
+  'DELETE /authors/:id': { params: idParams },
+
+  'GET /categories': {},
+  'GET /categories/:id': { params: idParams },
+  'POST /categories': {
+    body: object({
+      name,
+      description: { type: 'string', maxLength: DESCRIPTION_MAX_LENGTH }
+    }, ['name'])
+  },
+  'PUT /categories/:id': {
+    params: idParams,
+    body: object({
+      id: objectId,
+      name,
+      description: { type: 'string', maxLength: DESCRIPTION_MAX_LENGTH }
+    }, ['id'])
+  },
+  'DELETE /categories/:id': { params: idParams },
+
+  'GET /tags': {
+    query: query({ limit: { type: 'integer', minimum: 1, maximum: 500 } })
+  },
+  'PUT /tags/:tag': {
+    params: object({ tag }, ['tag']),
+    body: object({ name: tag }, ['name'])
+  },
+
+  'GET /feed.:format': {
+    params: object({ format: feedFormat }, ['format'])
+  },
+  'GET /authors/:id/feed.:format': {
+    params: object({ id: objectId, format: feedFormat }, ['id', 'format'])
+  },
+  'GET /tags/:tag/feed.:format': {
+    params: object({ tag, format: feedFormat }, ['tag', 'format'])
+  },
+
+  'GET /webhooks': {},
+  'GET /webhooks/:id': { params: idParams },
+  // a secret is made up when none is given
+  'POST /webhooks': {
+    body: object({
+      url: webhookUrl,
+      events: webhookEvents,
+      secret: { type: 'string', minLength: 16, maxLength: 200 }
+    }, ['url', 'events'])
+  },
+  'PUT /webhooks/:id': {
+    params: idParams,
+    body: object({
+      id: objectId,
+      url: webhookUrl,
+      events: webhookEvents,
+      active: { type: 'boolean' }
+    }, ['id'])
+  },
+  'DELETE /webhooks/:id': { params: idParams },
+  'GET /webhooks/:id/deliveries': {
+    params: idParams,
+    query: query({ limit, status: { type: 'string', enum: DELIVERY_STATUSES } })
+  },
+
+  // only the envelope; the query itself is checked against the GraphQL
+  // schema, and its post inputs against the post routes' schemas
+  'POST /graphql': {
+    body: object({
+      query: { type: 'string', minLength: 1, maxLength: GRAPHQL_QUERY_MAX_LENGTH },
+      variables: { type: ['object', 'null'] },
+      operationName: { type: ['string', 'null'] }
+    }, ['query'])
+  },
+
+  'GET /users': {},
+  'GET /users/:id': { params: idParams },
+  'PUT /users/:id/role': {
+    params: idParams,
+    body: object({ role: { type: 'string', enum: ROLES } }, ['role'])
+  },
+  'DELETE /users/:id': { params: idParams },
+
+  'POST /auth/register': {
+    body: object({
+      username,
+      password: {
+        type: 'string',
+        minLength: PASSWORD_MIN_LENGTH,
+        maxLength: PASSWORD_MAX_LENGTH
+      },
+      firstName: { type: 'string', maxLength: NAME_MAX_LENGTH },
+      lastName: { type: 'string', maxLength: NAME_MAX_LENGTH }
+    }, ['username', 'password'])
+  },
+  'POST /auth/login': {
+    body: object({
+      username: { type: 'string' },
+      password: { type: 'string' }
+    }, ['username', 'password'])
+  },
+  'POST /auth/refresh': {},
+
+  'GET /openapi.json': {},
+  'GET /docs': {}
+};
+
+module.exports = {
+  OBJECT_ID_PATTERN,
+  TITLE_MAX_LENGTH,
+  CONTENT_MAX_LENGTH,
+  routes
+};
@@ -0,0 +1,165 @@
+'use strict';
+
+// relevance search over post titles and content for `GET /posts/search`.
+// when the collection has its text index we let Mongo do the ranking;
+// without one (a fresh or in-memory database that hasn't built indexes)
+// we fall back to regex matching and score the candidates ourselves.
+
+const { escapeRegExp } = require('./pagination');
+
+const TITLE_WEIGHT = 3;
+const CONTENT_WEIGHT = 1;
+const PHRASE_BONUS = 2;
+const SNIPPET_LENGTH = 160;
+
+// mongo error code for `$text` queries against a collection without a
+// text index
+const INDEX_NOT_FOUND = 27;
+
+// splits a raw query string into quoted phrases and single words, e.g.
+// `"ten things" believe` -> { phrases: ['ten things'], terms: ['believe'] }
+function parseSearchQuery(q) {
+  const phrases = [];
+  const rest = q.replace(/"([^"]*)"/g, (match, phrase) => {
+    const trimmed = phrase.trim().toLowerCase();
+    if (trimmed) {
+      phrases.push(trimmed);
+    }
+    return ' ';
+  });
+  const terms = rest
+    .toLowerCase()
+    .split(/\s+/)
+    .map(term => term.replace(/^[^\w]+|[^\w]+$/g, ''))
+    .filter(Boolean);
+  return { phrases, terms };
+}
+
+function countMatches(text, needle) {
+  const matches = text.match(new RegExp(escapeRegExp(needle), 'gi'));
+  return matches ? matches.length : 0;
+}
+
+// scores a post the same way for every caller: words found in the title
+// count more than words in the body, and each phrase match earns a bonus
+function scorePost(post, parsed) {
+  const title = post.title || '';
+  const content = post.content || '';
+  let score = 0;
+  parsed.terms.forEach(term => {
+    score += countMatches(title, term) * TITLE_WEIGHT;
+    score += countMatches(content, term) * CONTENT_WEIGHT;
+  });
+  parsed.phrases.forEach(phrase => {
+    const found = countMatches(title, phrase) * TITLE_WEIGHT +
+      countMatches(content, phrase) * CONTENT_WEIGHT;
+    score += found * PHRASE_BONUS;
+  });
+  return score;
+}
+
+function escapeHtml(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// wraps every match of the query in `<mark>` tags. the surrounding text
+// is HTML-escaped first so snippets are safe to drop into a page.
+function highlight(text, parsed) {
+  const needles = parsed.phrases.concat(parsed.terms)
+    // longest first so a phrase wins over the words inside it
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+  if (needles.length === 0) {
+    return escapeHtml(text);
+  }
+  const pattern = new RegExp(`(${needles.join('|')})`, 'gi');
+  return text
+    .split(pattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+// picks a window of `content` around the first match and highlights it
+function buildSnippet(content, parsed) {
+  if (!content) {
+    return '';
+  }
+  const lower = content.toLowerCase();
+  const positions = parsed.phrases.concat(parsed.terms)
+    .map(needle => lower.indexOf(needle))
+    .filter(position => position !== -1);
+  const first = positions.length ? Math.min(...positions) : 0;
+  const start = Math.max(0, first - Math.floor(SNIPPET_LENGTH / 4));
+  const end = Math.min(content.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+  return prefix + highlight(content.slice(start, end), parsed) + suffix;
+}
+
+function textIndexSearch(Model, q, conditions, limit) {
+  // `$text` has to sit at the top level of the filter
+  const filter = { $text: { $search: q } };
+  if (conditions.length) {
+    filter.$and = conditions;
+  }
+  return Model
+    .find(filter, { score: { $meta: 'textScore' } })
+    .sort({ score: { $meta: 'textScore' } })
+    .limit(limit)
+    .then(docs => docs.map(doc => ({ doc, score: doc.get('score') })));
+}
+
+function fallbackSearch(Model, parsed, conditions, limit) {
+  const fieldsMatching = needle => {
+    const pattern = new RegExp(escapeRegExp(needle), 'i');
+    return { $or: [{ title: pattern }, { content: pattern }] };
+  };
+  // every phrase has to be present, and at least one of the words
+  const matchConditions = parsed.phrases.map(fieldsMatching);
+  if (parsed.terms.length) {
+    matchConditions.push({ $or: parsed.terms.map(fieldsMatching) });
+  }
+
+  return Model
+    .find({ $and: matchConditions.concat(conditions) })
+    .then(docs => docs
+      .map(doc => ({ doc, score: scorePost(doc, parsed) }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit));
+}
+
+// resolves with `[{doc, score}]` for the best `limit` matches of `q`
+function searchPosts(Model, q, options) {
+  const parsed = parseSearchQuery(q);
+  const conditions = options.conditions || [];
+  const limit = options.limit;
+  if (parsed.phrases.length === 0 && parsed.terms.length === 0) {
+    return Promise.resolve([]);
+  }
+
+  return textIndexSearch(Model, q, conditions, limit)
+    .catch(err => {
+      if (err.code === INDEX_NOT_FOUND || /text index required/i.test(err.message)) {
+        return fallbackSearch(Model, parsed, conditions, limit);
+      }
+      throw err;
+    })
+    .then(results => results.map(result => Object.assign(result, {
+      highlights: {
+        title: highlight(result.doc.title || '', parsed),
+        content: buildSnippet(result.doc.content, parsed)
+      }
+    })));
+}
+
+module.exports = {
+  parseSearchQuery,
+  scorePost,
+  highlight,
+  buildSnippet,
+  searchPosts
+};
@@ -6,111 +6,37 @@ const morgan = require('morgan');
 const mongoose = require('mongoose');
 mongoose.Promise = global.Promise;
 
-const { DATABASE_URL, PORT } = require('./config');
-const { BlogPost } = require('./models');
+const {
+  API_PREFIX, DATABASE_URL, PORT, SCHEDULER_INTERVAL_MS, TRUST_PROXY, UPLOADS_DIR, UPLOADS_URL
+} = require('./config');
+const { requestId, notFound, errorHandler } = require('./errors');
+const { router: apiRouter, deprecated } = require('./apiRouter');
+const { startScheduler, stopScheduler } = require('./scheduler');
+const { startWebhooks, stopWebhooks } = require('./webhooks');
+const { startStream, stopStream } = require('./stream');
+const { rateLimit } = require('./rateLimit');
+const { PATCH_TYPES } = require('./patch');
 
 const app = express();
+app.set('trust proxy', TRUST_PROXY);
 
+app.use(requestId);
 app.use(morgan('common'));
-app.use(bodyParser.json());
-
-app.get('/posts', (req, res) => {
-  BlogPost
-    .find()
-    .then(posts => {
-      console.info(`found ${posts.length} records`);
-      res.json(posts.map(post => post.serialize()));
-    })
-    .catch(err => {
-      console.error(err);
-      res.status(500).json({ error: 'something went terribly wrong' });
-    });
-});
-
-app.get('/posts/:id', (req, res) => {
-  BlogPost
-    .findById(req.params.id)
-    .then(post => res.json(post.serialize()))
-    .catch(err => {
-      console.error(err);
-      res.status(500).json({ error: 'something went horribly awry' });
-    });
-});
-
-app.post('/posts', (req, res) => {
-  const requiredFields = ['title', 'content', 'author'];
-  for (let i = 0; i < requiredFields.length; i++) {
-    const field = requiredFields[i];
-    if (!(field in req.body)) {
-      const message = `Missing \`${field}\` in request body`;
-      console.error(message);
-      return res.status(400).send(message);
-    }
-  }
-
-  BlogPost
-    .create({
-      title: req.body.title,
-      content: req.body.content,
-      author: req.body.author
-    })
-    .then(blogPost => res.status(201).json(blogPost.serialize()))
-    .catch(err => {
-      console.error(err);
-      res.status(500).json({ error: 'Something went wrong' });
-    });
-
-});
-
-
-app.delete('/posts/:id', (req, res) => {
-  BlogPost
-    .findByIdAndRemove(req.params.id)
-    .then(() => {
-      res.status(204).json({ message: 'success' });
-    })
-    .catch(err => {
-      console.error(err);
-      res.status(500).json({ error: 'something went terribly wrong' });
-    });
-});
-
-
-app.put('/posts/:id', (req, res) => {
-  if (!(req.params.id && req.body.id && req.params.id === req.body.id)) {
-    res.status(400).json({
-      error: 'Request path id and request body id values must match'
-    });
-  }
-
-  const updated = {};
-  const updateableFields = ['title', 'content', 'author'];
-  updateableFields.forEach(field => {
-    if (field in req.body) {
-      updated[field] = req.body[field];
-    }
-  });
-
-  BlogPost
-    .findByIdAndUpdate(req.params.id, { $set: updated }, { new: true })
-    .then(updatedPost => res.status(204).end())
-    .catch(err => res.status(500).json({ message: 'Something went wrong' }));
-});
-
-
-app.delete('/:id', (req, res) => {
-  BlogPost
-    .findByIdAndRemove(req.params.id)
-    .then(() => {
-      console.log(`Deleted blog post with id \`${req.params.ID}\``);
-      res.status(204).end();
-    });
-});
-
-
-app.use('*', function (req, res) {
-  res.status(404).json({ message: 'Not Found' });
-});
+app.use(rateLimit);
+app.use(bodyParser.json({ type: ['application/json'].concat(PATCH_TYPES) }));
+// files kept by the local storage backend. `nosniff` stops browsers from
+// second-guessing the content type of what users uploaded.
+app.use(UPLOADS_URL, express.static(UPLOADS_DIR, {
+  setHeaders: res => res.set('X-Content-Type-Options', 'nosniff')
+}));
+
+app.use(API_PREFIX, apiRouter);
+// the paths from before the API was versioned, still answered but
+// marked as deprecated
+app.use(deprecated, apiRouter);
+
+app.use('*', notFound);
+app.use(errorHandler);
 
 // closeServer needs access to a server object, but that only
 // gets created when `runServer` runs, so we declare `server` here
@@ -127,6 +53,9 @@ function runServer(databaseUrl = DATABASE_URL, port = PORT) {
       }
       server = app.listen(port, () => {
         console.log(`Your app is listening on port ${port}`);
+        startScheduler(SCHEDULER_INTERVAL_MS);
+        startWebhooks();
+        startStream();
         resolve();
       })
         .on('error', err => {
@@ -140,7 +69,9 @@ function runServer(databaseUrl = DATABASE_URL, port = PORT) {
 // this function closes the server, and returns a promise. we'll
 // use it in our integration tests later.
 function closeServer() {
-  return mongoose.disconnect().then(() => {
+  stopScheduler();
+  stopStream();
+  return stopWebhooks().then(() => mongoose.disconnect()).then(() => {
     return new Promise((resolve, reject) => {
       console.log('Closing server');
       server.close(err => {
@@ -0,0 +1,18 @@
+'use strict';
+
+const MAX_SLUG_LENGTH = 80;
+
+// turns free text into a url-safe slug: lowercase ascii words joined by
+// dashes, so "Café  Culture!" becomes "cafe-culture". accents are
+// dropped, everything else that isn't a letter or digit separates words.
+function slugify(text) {
+  return String(text)
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/^-+|-+$/g, '');
+}
+
+module.exports = { MAX_SLUG_LENGTH, slugify };
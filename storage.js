@@ -0,0 +1,67 @@
+'use strict';
+
+// where attachment files live. a storage backend is any object with
+//
+//   save(key, buffer, contentType) -> Promise
+//   remove(key)                    -> Promise, fine if the file is gone
+//   url(key)                       -> the address the file is served at
+//
+// keys are relative paths like `<postId>/<uuid>.png`. `LocalStorage`,
+// the default, writes to disk; another backend (S3, say) can be swapped
+// in with `setStorage()` before the server starts.
+
+const fs = require('fs');
+const path = require('path');
+
+const { UPLOADS_DIR, UPLOADS_URL } = require('./config');
+
+class LocalStorage {
+  constructor(root, baseUrl) {
+    this.root = path.resolve(root);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  // keys are generated by us, but a key that climbs out of the upload
+  // directory is refused all the same
+  pathFor(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key \`${key}\``);
+    }
+    return filePath;
+  }
+
+  save(key, buffer) {
+    return Promise.resolve()
+      .then(() => this.pathFor(key))
+      .then(filePath => fs.promises
+        .mkdir(path.dirname(filePath), { recursive: true })
+        .then(() => fs.promises.writeFile(filePath, buffer)));
+  }
+
+  remove(key) {
+    return Promise.resolve()
+      .then(() => fs.promises.unlink(this.pathFor(key)))
+      .catch(err => {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      });
+  }
+
+  url(key) {
+    return `${this.baseUrl}/${key}`;
+  }
+}
+
+let storage = new LocalStorage(UPLOADS_DIR, UPLOADS_URL);
+
+function getStorage() {
+  return storage;
+}
+
+function setStorage(backend) {
+  storage = backend;
+}
+
+module.exports = { LocalStorage, getStorage, setStorage };
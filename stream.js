@@ -0,0 +1,132 @@
+'use strict';
+
+// the live post stream behind `GET /posts/stream`: every post event (see
+// events.js) goes out to the connected clients as a Server-Sent Event
+//
+//   id: 42
+//   event: post.updated
+//   data: { …the post… }
+//
+// a client only gets the events for posts it could read through
+// `GET /posts/:id`, and with `?authorId=` only those of one author. one
+// that could read a post until a change of status took it away (it was
+// unpublished, say) gets a `post.deleted` with only the post's id: as
+// far as that client is concerned, the post is gone. the
+// latest `STREAM.bufferSize` events are kept, so that a client that
+// reconnects with a `Last-Event-ID` gets what it missed; when that's
+// more than the buffer still holds it gets a `reset` event instead and
+// has to reload. idle connections get a comment every `STREAM.heartbeatMs`
+// so proxies don't drop them.
+
+const { STREAM } = require('./config');
+const { POST_EVENTS, postEvents } = require('./events');
+
+const clients = new Set();
+const buffer = [];
+let lastId = 0;
+let listeners = null;
+
+function write(res, id, event, data) {
+  res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// what `client` gets of `entry`, as `{ event, data }`, or null when
+// it gets nothing
+function eventFor(client, entry) {
+  const post = entry.post;
+  if (client.authorId && String(post.authorId) !== client.authorId) {
+    return null;
+  }
+  if (post.isVisibleTo(client.user)) {
+    return { event: entry.event, data: entry.data };
+  }
+  // a post that was published could be read by everybody
+  if (entry.previousStatus === 'published') {
+    return { event: 'post.deleted', data: { id: post._id } };
+  }
+  return null;
+}
+
+function send(client, entry) {
+  const sent = eventFor(client, entry);
+  if (sent) {
+    write(client.res, entry.id, sent.event, sent.data);
+  }
+}
+
+function publish(event, post, previousStatus) {
+  const entry = { id: ++lastId, event, post, previousStatus, data: post.serialize() };
+  buffer.push(entry);
+  if (buffer.length > STREAM.bufferSize) {
+    buffer.splice(0, buffer.length - STREAM.bufferSize);
+  }
+  clients.forEach(client => send(client, entry));
+}
+
+// what a client reconnecting after `since` has missed, or null when the
+// buffer no longer goes back that far
+function missedSince(since) {
+  if (since > lastId) {
+    // an id from before a restart
+    return null;
+  }
+  if (since < lastId && (!buffer.length || buffer[0].id > since + 1)) {
+    return null;
+  }
+  return buffer.filter(entry => entry.id > since);
+}
+
+function end(client) {
+  clearInterval(client.heartbeat);
+  clients.delete(client);
+  client.res.end();
+}
+
+// the route handler. has to run after `optionalAuth`.
+function streamPosts(req, res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    // for nginx, which would otherwise buffer the events
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const client = { res, user: req.user, authorId: req.query.authorId };
+
+  const header = req.get('Last-Event-ID');
+  if (header !== undefined) {
+    const missed = /^\d+$/.test(header) ? missedSince(Number(header)) : null;
+    if (missed) {
+      missed.forEach(entry => send(client, entry));
+    } else {
+      write(res, lastId, 'reset', {});
+    }
+  }
+
+  client.heartbeat = setInterval(() => res.write(': heartbeat\n\n'), STREAM.heartbeatMs);
+  clients.add(client);
+  req.on('close', () => end(client));
+}
+
+function startStream() {
+  stopStream();
+  listeners = {};
+  POST_EVENTS.forEach(event => {
+    listeners[event] = (post, previousStatus) => publish(event, post, previousStatus);
+    postEvents.on(event, listeners[event]);
+  });
+}
+
+// stops listening and ends every open stream, which the server can't
+// close while they're open
+function stopStream() {
+  if (listeners) {
+    Object.keys(listeners).forEach(event => postEvents.removeListener(event, listeners[event]));
+    listeners = null;
+  }
+  clients.forEach(end);
+}
+
+module.exports = { streamPosts, startStream, stopStream };
@@ -0,0 +1,66 @@
+'use strict';
+
+const express = require('express');
+
+const { BlogPost } = require('./models');
+const { authorize, optionalAuth } = require('./auth');
+const { BadRequestError, NotFoundError } = require('./errors');
+const { slugify } = require('./slugify');
+const { validate } = require('./validation');
+
+// tags only exist on posts; there's no collection of their own
+const router = express.Router();
+
+// usage counts for a tag cloud, most used first. only posts the user may
+// read are counted, so drafts don't leak through their tags.
+router.get('/', optionalAuth, validate('GET /tags'), (req, res, next) => {
+  const pipeline = [
+    { $match: { $and: BlogPost.visibleTo(req.user) } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } }
+  ];
+  if (req.query.limit) {
+    pipeline.push({ $limit: req.query.limit });
+  }
+
+  BlogPost
+    .aggregate(pipeline)
+    .then(results => res.json(results.map(result => ({
+      tag: result._id,
+      count: result.count
+    }))))
+    .catch(next);
+});
+
+// renames a tag on every post carrying it, trashed ones included. posts
+// that already have the new tag keep a single copy of it. this is a bulk
+// change and doesn't add to the posts' revision history.
+router.put('/:tag', authorize('tags:manage'), validate('PUT /tags/:tag'), (req, res, next) => {
+  const from = slugify(req.params.tag);
+  const to = slugify(req.body.name);
+  if (!to) {
+    return next(new BadRequestError('`name` has to contain letters or digits'));
+  }
+
+  BlogPost
+    .count({ tags: from })
+    .then(count => {
+      if (count === 0) {
+        throw new NotFoundError(`Tag \`${from}\` not found`);
+      }
+      if (from === to) {
+        return count;
+      }
+      // one field can't take `$addToSet` and `$pull` in the same update
+      return BlogPost
+        .update({ tags: from }, { $addToSet: { tags: to } }, { multi: true })
+        .then(() => BlogPost.update(
+          { tags: from }, { $pull: { tags: from }, $set: { modified: new Date() } }, { multi: true }))
+        .then(() => count);
+    })
+    .then(postCount => res.json({ from, to, postCount }))
+    .catch(next);
+});
+
+module.exports = router;
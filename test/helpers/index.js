@@ -0,0 +1,59 @@
+'use strict';
+
+// shared bits for the integration tests. this lives in a subdirectory so
+// mocha doesn't pick it up as a spec file.
+
+const faker = require('faker');
+
+const {User} = require('../../models');
+const {createAuthToken} = require('../../auth');
+
+// chai-http rejects the promise for any non-2xx response. this hands
+// back the response either way so tests can assert on error statuses.
+function settle(request) {
+  return request.then(res => res, err => {
+    if (err.response) {
+      return err.response;
+    }
+    throw err;
+  });
+}
+
+// creates a user straight in the database and resolves with
+// `{user, token}`, where `token` is a signed JWT for that user. the user
+// is an author unless `overrides` says otherwise.
+function createUserWithToken(overrides = {}) {
+  const password = overrides.password || faker.internet.password(12);
+  return User
+    .hashPassword(password)
+    .then(hash => User.create(Object.assign({
+      username: faker.internet.userName() + faker.random.number(),
+      firstName: faker.name.firstName(),
+      lastName: faker.name.lastName(),
+      role: 'author'
+    }, overrides, {password: hash})))
+    .then(user => ({user, token: createAuthToken(user)}));
+}
+
+// the value of the `Authorization` header for `token`
+function bearer(token) {
+  return `Bearer ${token}`;
+}
+
+// polls `check`, which may return a promise, until it comes up with
+// something truthy, and resolves with that
+function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  const poll = () => Promise.resolve(check()).then(result => {
+    if (result) {
+      return result;
+    }
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting');
+    }
+    return new Promise(resolve => setTimeout(resolve, 20)).then(poll);
+  });
+  return poll();
+}
+
+module.exports = {settle, createUserWithToken, bearer, waitFor};
@@ -0,0 +1,334 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost, PostStat} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer, waitFor} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function seedPosts(owner) {
+  return Author
+    .create({
+      firstName: faker.name.firstName(),
+      lastName: faker.name.lastName(),
+      username: faker.internet.userName()
+    })
+    .then(author => {
+      const seedData = [];
+      for (let i = 1; i <= 3; i++) {
+        seedData.push({
+          author: author._id,
+          owner: owner._id,
+          status: 'published',
+          title: faker.lorem.sentence(),
+          content: faker.lorem.paragraph()
+        });
+      }
+      return BlogPost.insertMany(seedData);
+    });
+}
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+// a view of `post` by an anonymous visitor told apart by `userAgent`
+function view(post, userAgent) {
+  return chai.request(app)
+    .get(`/posts/${post.id}`)
+    .set('User-Agent', userAgent);
+}
+
+function like(post, token) {
+  return settle(chai.request(app)
+    .post(`/posts/${post.id}/like`)
+    .set('Authorization', bearer(token)));
+}
+
+function stats(post, token) {
+  return chai.request(app)
+    .get(`/posts/${post.id}/stats`)
+    .set('Authorization', bearer(token));
+}
+
+// views are counted once the response has gone out. resolves with the
+// stats of `post` as soon as they show at least `views` views.
+function countedViews(post, token, views) {
+  return waitFor(() => stats(post, token)
+    .then(res => (res.body.views >= views ? res : null)));
+}
+
+describe('Post analytics', function() {
+  let owner;
+  let token;
+  let posts;
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return createUserWithToken()
+      .then(function(created) {
+        owner = created.user;
+        token = created.token;
+        return seedPosts(owner);
+      })
+      .then(function(_posts) {
+        posts = _posts;
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  describe('views', function() {
+    it('should count a visitor once per window', function() {
+      const post = posts[0];
+      return view(post, 'reader-1')
+        .then(function() {
+          return countedViews(post, token, 1);
+        })
+        .then(function() {
+          return view(post, 'reader-1');
+        })
+        .then(function() {
+          return view(post, 'reader-2');
+        })
+        .then(function() {
+          return countedViews(post, token, 2);
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.views.should.equal(2);
+          res.body.days.should.have.lengthOf(1);
+          res.body.days[0].views.should.equal(2);
+        });
+    });
+
+    it('should not lose views made at the same time', function() {
+      const post = posts[0];
+      const visitors = [];
+      for (let i = 1; i <= 10; i++) {
+        visitors.push(`reader-${i}`);
+      }
+      return Promise
+        .all(visitors.map(visitor => view(post, visitor)))
+        .then(function() {
+          return countedViews(post, token, 10);
+        })
+        .then(function(res) {
+          res.body.views.should.equal(10);
+        });
+    });
+
+    it('should keep posts out of shared caches and not count a 304', function() {
+      const post = posts[0];
+      return view(post, 'reader-1')
+        .then(function(res) {
+          res.headers['cache-control'].should.equal('private, no-cache');
+          // a copy revalidated, by somebody who hasn't been counted yet
+          return settle(chai.request(app)
+            .get(`/posts/${post.id}`)
+            .set('User-Agent', 'reader-2')
+            .set('If-None-Match', res.headers.etag));
+        })
+        .then(function(res) {
+          res.should.have.status(304);
+          // a later view to wait for: had the 304 counted, it would be
+          // counted by then too
+          return view(post, 'reader-3');
+        })
+        .then(function() {
+          return countedViews(post, token, 2);
+        })
+        .then(function(res) {
+          res.body.views.should.equal(2);
+        });
+    });
+
+    it('should not count views of drafts', function() {
+      const post = posts[0];
+      return BlogPost.findByIdAndUpdate(post.id, {status: 'draft'})
+        .then(function() {
+          return chai.request(app)
+            .get(`/posts/${post.id}`)
+            .set('Authorization', bearer(token));
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          return PostStat.count();
+        })
+        .then(function(count) {
+          count.should.equal(0);
+        });
+    });
+  });
+
+  describe('likes', function() {
+    it('should like and unlike a post, once each', function() {
+      const post = posts[0];
+      return like(post, token)
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.should.deep.equal({liked: true, likes: 1});
+          return like(post, token);
+        })
+        .then(function(res) {
+          res.body.should.deep.equal({liked: true, likes: 1});
+          return chai.request(app)
+            .delete(`/posts/${post.id}/like`)
+            .set('Authorization', bearer(token));
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.should.deep.equal({liked: false, likes: 0});
+          return stats(post, token);
+        })
+        .then(function(res) {
+          res.body.likes.should.equal(0);
+          res.body.days[0].likes.should.equal(0);
+        });
+    });
+
+    it('should let readers like posts', function() {
+      return createUserWithToken({role: 'reader'})
+        .then(function(reader) {
+          return like(posts[0], reader.token);
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.likes.should.equal(1);
+        });
+    });
+
+    it('should refuse a like without a token', function() {
+      return settle(chai.request(app).post(`/posts/${posts[0].id}/like`))
+        .then(function(res) {
+          res.should.have.status(401);
+        });
+    });
+
+    it('should answer 404 for a post the user cannot see', function() {
+      let reader;
+      return createUserWithToken({role: 'reader'})
+        .then(function(_reader) {
+          reader = _reader;
+          return BlogPost.findByIdAndUpdate(posts[0].id, {status: 'draft'});
+        })
+        .then(function() {
+          return like(posts[0], reader.token);
+        })
+        .then(function(res) {
+          res.should.have.status(404);
+        });
+    });
+  });
+
+  describe('GET /posts/popular', function() {
+    it('should rank posts by weighted engagement', function() {
+      // posts[1]: one like (5) beats posts[0]: three views (3);
+      // posts[2] has nothing and is left out
+      return Promise
+        .all([
+          view(posts[0], 'reader-1'),
+          view(posts[0], 'reader-2'),
+          view(posts[0], 'reader-3'),
+          like(posts[1], token)
+        ])
+        .then(function() {
+          return countedViews(posts[0], token, 3);
+        })
+        .then(function() {
+          return chai.request(app).get('/posts/popular').query({window: '7d'});
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.window.should.equal('7d');
+          res.body.posts.map(post => post.id).should.deep.equal([posts[1].id, posts[0].id]);
+          res.body.posts[0].engagement.should.deep.equal({views: 0, likes: 1, score: 5});
+          res.body.posts[1].engagement.should.deep.equal({views: 3, likes: 0, score: 3});
+          res.body.posts[1].title.should.equal(posts[0].title);
+        });
+    });
+
+    it('should leave out posts the reader cannot see', function() {
+      return like(posts[0], token)
+        .then(function() {
+          return BlogPost.findByIdAndUpdate(posts[0].id, {status: 'draft'});
+        })
+        .then(function() {
+          return chai.request(app).get('/posts/popular');
+        })
+        .then(function(res) {
+          res.body.posts.should.deep.equal([]);
+          return chai.request(app)
+            .get('/posts/popular')
+            .set('Authorization', bearer(token));
+        })
+        .then(function(res) {
+          res.body.posts.map(post => post.id).should.deep.equal([posts[0].id]);
+        });
+    });
+
+    it('should read on past hidden posts to fill the limit', function() {
+      // posts[0] ranks first but is a draft, so the first page of the
+      // ranking holds nothing an anonymous reader may see
+      return Promise
+        .all([like(posts[0], token), view(posts[1], 'reader-1')])
+        .then(function() {
+          return countedViews(posts[1], token, 1);
+        })
+        .then(function() {
+          return BlogPost.findByIdAndUpdate(posts[0].id, {status: 'draft'});
+        })
+        .then(function() {
+          return chai.request(app).get('/posts/popular').query({limit: 1});
+        })
+        .then(function(res) {
+          res.body.posts.map(post => post.id).should.deep.equal([posts[1].id]);
+        });
+    });
+
+    it('should only look at the days in the window', function() {
+      const longAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+      return PostStat
+        .create({post: posts[0]._id, day: longAgo, views: 100})
+        .then(function() {
+          return chai.request(app).get('/posts/popular').query({window: '7d'});
+        })
+        .then(function(res) {
+          res.body.posts.should.deep.equal([]);
+          return chai.request(app).get('/posts/popular').query({window: '90d'});
+        })
+        .then(function(res) {
+          res.body.posts[0].engagement.views.should.equal(100);
+        });
+    });
+
+    it('should reject a window it cannot rank', function() {
+      return settle(chai.request(app).get('/posts/popular').query({window: '365d'}))
+        .then(function(res) {
+          res.should.have.status(400);
+          return settle(chai.request(app).get('/posts/popular').query({window: 'week'}));
+        })
+        .then(function(res) {
+          res.should.have.status(400);
+          should.exist(res.body.error);
+        });
+    });
+  });
+});
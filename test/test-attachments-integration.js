@@ -0,0 +1,195 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const path = require('path');
+
+const should = chai.should();
+
+const {MAX_UPLOAD_BYTES, UPLOADS_DIR, UPLOADS_URL} = require('../config');
+const {Author, BlogPost} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+const PNG_SIGNATURE = Buffer.from('89504e470d0a1a0a', 'hex');
+
+function png(size = 64) {
+  const image = Buffer.alloc(size);
+  PNG_SIGNATURE.copy(image);
+  return image;
+}
+
+// where the local storage backend put the file behind `url`
+function storedPath(url) {
+  return path.join(UPLOADS_DIR, url.slice(UPLOADS_URL.length));
+}
+
+describe('Post attachments', function() {
+  let token;
+  let post;
+
+  function attach(file, filename, fields = {}) {
+    const request = chai.request(app)
+      .post(`/posts/${post.id}/attachments`)
+      .set('Authorization', bearer(token));
+    Object.keys(fields).forEach(field => request.field(field, fields[field]));
+    return settle(request.attach('file', file, filename));
+  }
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return createUserWithToken()
+      .then(function(created) {
+        token = created.token;
+        return Author
+          .create({
+            firstName: faker.name.firstName(),
+            lastName: faker.name.lastName(),
+            username: faker.internet.userName()
+          })
+          .then(function(author) {
+            return BlogPost.create({
+              author: author._id,
+              title: faker.lorem.sentence(),
+              content: faker.lorem.paragraph(),
+              owner: created.user._id
+            });
+          });
+      })
+      .then(function(_post) {
+        post = _post;
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    // only the temporary directory config.js picks for tests; one given
+    // in UPLOADS_DIR is left alone
+    return closeServer()
+      .then(() => process.env.UPLOADS_DIR ||
+        fs.promises.rm(UPLOADS_DIR, {recursive: true, force: true}));
+  });
+
+  it('should store an uploaded image and serve it', function() {
+    let attachment;
+    return attach(png(), 'diagram.png')
+      .then(function(res) {
+        res.should.have.status(201);
+        attachment = res.body;
+        attachment.filename.should.equal('diagram.png');
+        attachment.contentType.should.equal('image/png');
+        attachment.kind.should.equal('inline');
+        attachment.url.should.match(new RegExp(`^${UPLOADS_URL}/${post.id}/`));
+        fs.existsSync(storedPath(attachment.url)).should.be.true;
+        return chai.request(app).get(attachment.url).buffer();
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        res.headers['content-type'].should.equal('image/png');
+        return BlogPost.findById(post._id);
+      })
+      .then(function(found) {
+        found.serialize().attachments.map(a => a.url).should.deep.equal([attachment.url]);
+      });
+  });
+
+  it('should replace the cover image', function() {
+    let first;
+    return attach(png(), 'first.png', {kind: 'cover'})
+      .then(function(res) {
+        first = res.body;
+        return attach(png(), 'second.png', {kind: 'cover'});
+      })
+      .then(function(res) {
+        res.should.have.status(201);
+        fs.existsSync(storedPath(first.url)).should.be.false;
+        return BlogPost.findById(post._id);
+      })
+      .then(function(found) {
+        found.attachments.should.have.lengthOf(1);
+        should.exist(found.cover);
+        found.serialize().coverUrl.should.equal(found.serialize().attachments[0].url);
+      });
+  });
+
+  it('should refuse types that are not allowed', function() {
+    return attach(Buffer.from('just text'), 'notes.txt')
+      .then(function(res) {
+        res.should.have.status(400);
+      });
+  });
+
+  it('should refuse files whose content does not match their type', function() {
+    return attach(Buffer.from('<script>alert(1)</script>'), 'sneaky.png')
+      .then(function(res) {
+        res.should.have.status(400);
+        res.body.error.should.contain('image/png');
+      });
+  });
+
+  it('should refuse files that are too large', function() {
+    return attach(png(MAX_UPLOAD_BYTES + 1), 'huge.png')
+      .then(function(res) {
+        res.should.have.status(413);
+      });
+  });
+
+  it('should only accept uploads from people who may edit the post', function() {
+    return createUserWithToken()
+      .then(function(stranger) {
+        token = stranger.token;
+        return attach(png(), 'mine.png');
+      })
+      .then(function(res) {
+        res.should.have.status(403);
+        // turned away before the upload is read, whatever its size
+        return attach(png(MAX_UPLOAD_BYTES + 1), 'huge.png');
+      })
+      .then(function(res) {
+        res.should.have.status(403);
+      });
+  });
+
+  it('should delete an attachment and its file', function() {
+    let attachment;
+    return attach(png(), 'diagram.png')
+      .then(function(res) {
+        attachment = res.body;
+        return chai.request(app)
+          .delete(`/posts/${post.id}/attachments/${attachment.id}`)
+          .set('Authorization', bearer(token));
+      })
+      .then(function(res) {
+        res.should.have.status(204);
+        fs.existsSync(storedPath(attachment.url)).should.be.false;
+      });
+  });
+
+  it('should remove the files when the post is purged', function() {
+    let attachment;
+    return attach(png(), 'diagram.png')
+      .then(function(res) {
+        attachment = res.body;
+        return BlogPost.removeCascade(post._id);
+      })
+      .then(function() {
+        fs.existsSync(storedPath(attachment.url)).should.be.false;
+      });
+  });
+});
@@ -0,0 +1,152 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {User} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {JWT_SECRET} = require('../config');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+describe('Auth endpoints', function() {
+  const username = 'exampleUser';
+  const password = 'examplePass';
+
+  before(function() {
+    return runServer();
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  describe('/auth/register', function() {
+
+    it('should create a user with a hashed password', function() {
+      return chai.request(app)
+        .post('/auth/register')
+        .send({username, password, firstName: 'Ex', lastName: 'Ample'})
+        .then(function(res) {
+          res.should.have.status(201);
+          res.body.authToken.should.be.a('string');
+          res.body.user.username.should.equal(username);
+          res.body.user.should.not.have.property('password');
+          return User.findOne({username});
+        })
+        .then(function(user) {
+          user.password.should.not.equal(password);
+          return user.validatePassword(password);
+        })
+        .then(function(isValid) {
+          isValid.should.be.true;
+        });
+    });
+
+    it('should sign new users up as readers', function() {
+      return chai.request(app)
+        .post('/auth/register')
+        .send({username, password})
+        .then(function(res) {
+          res.body.user.role.should.equal('reader');
+          return settle(chai.request(app)
+            .post('/posts')
+            .set('Authorization', bearer(res.body.authToken))
+            .send({title: 'Hello', content: 'world', authorId: res.body.user.id}));
+        })
+        .then(function(res) {
+          res.should.have.status(403);
+          res.body.missingPermission.should.equal('posts:create');
+        });
+    });
+
+    it('should refuse a taken username', function() {
+      return createUserWithToken({username})
+        .then(function() {
+          return settle(chai.request(app)
+            .post('/auth/register')
+            .send({username, password}));
+        })
+        .then(function(res) {
+          res.should.have.status(400);
+        });
+    });
+
+    it('should refuse a short password', function() {
+      return settle(chai.request(app)
+        .post('/auth/register')
+        .send({username, password: 'short'}))
+        .then(function(res) {
+          res.should.have.status(400);
+        });
+    });
+  });
+
+  describe('/auth/login', function() {
+
+    beforeEach(function() {
+      return createUserWithToken({username, password});
+    });
+
+    it('should issue a token for valid credentials', function() {
+      return chai.request(app)
+        .post('/auth/login')
+        .send({username, password})
+        .then(function(res) {
+          res.should.have.status(200);
+          const payload = jwt.verify(res.body.authToken, JWT_SECRET);
+          payload.username.should.equal(username);
+        });
+    });
+
+    it('should reject a wrong password', function() {
+      return settle(chai.request(app)
+        .post('/auth/login')
+        .send({username, password: 'wrongPassword'}))
+        .then(function(res) {
+          res.should.have.status(401);
+          should.not.exist(res.body.authToken);
+        });
+    });
+  });
+
+  describe('/auth/refresh', function() {
+
+    it('should trade a valid token for a new one', function() {
+      return createUserWithToken({username})
+        .then(function(created) {
+          return chai.request(app)
+            .post('/auth/refresh')
+            .set('Authorization', bearer(created.token));
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          const payload = jwt.verify(res.body.authToken, JWT_SECRET);
+          payload.username.should.equal(username);
+        });
+    });
+
+    it('should reject an invalid token', function() {
+      return settle(chai.request(app)
+        .post('/auth/refresh')
+        .set('Authorization', bearer('not-a-token')))
+        .then(function(res) {
+          res.should.have.status(401);
+        });
+    });
+  });
+});
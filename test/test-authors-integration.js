@@ -0,0 +1,245 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {migrateEmbeddedAuthors} = require('../migrate-authors');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function generateAuthorData() {
+  return {
+    firstName: faker.name.firstName(),
+    lastName: faker.name.lastName(),
+    username: faker.internet.userName() + faker.random.number()
+  };
+}
+
+function seedAuthorData() {
+  const seedData = [];
+  for (let i = 1; i <= 5; i++) {
+    seedData.push(generateAuthorData());
+  }
+  return Author.insertMany(seedData);
+}
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+describe('Authors API resource', function() {
+  let token;
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    // editors may manage every author, not just create them
+    return createUserWithToken({role: 'editor'})
+      .then(function(created) {
+        token = created.token;
+        return seedAuthorData();
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  describe('GET endpoint', function() {
+
+    it('should return all authors', function() {
+      let res;
+      return chai.request(app)
+        .get('/authors')
+        .then(function(_res) {
+          res = _res;
+          res.should.have.status(200);
+          res.body.should.be.a('array');
+          res.body.forEach(function(author) {
+            author.should.include.keys(
+              'id', 'name', 'firstName', 'lastName', 'username');
+          });
+          return Author.count();
+        })
+        .then(function(count) {
+          res.body.should.have.lengthOf(count);
+        });
+    });
+  });
+
+  describe('POST endpoint', function() {
+
+    it('should require a token', function() {
+      return settle(chai.request(app).post('/authors').send(generateAuthorData()))
+        .then(function(res) {
+          res.should.have.status(401);
+        });
+    });
+
+    it('should add a new author', function() {
+      const newAuthor = generateAuthorData();
+
+      return chai.request(app)
+        .post('/authors')
+        .set('Authorization', bearer(token))
+        .send(newAuthor)
+        .then(function(res) {
+          res.should.have.status(201);
+          res.body.name.should.equal(
+            `${newAuthor.firstName} ${newAuthor.lastName}`);
+          res.body.username.should.equal(newAuthor.username);
+          return Author.findById(res.body.id);
+        })
+        .then(function(author) {
+          author.username.should.equal(newAuthor.username);
+        });
+    });
+
+    it('should refuse a username that is already taken', function() {
+      return Author
+        .findOne()
+        .then(function(author) {
+          const newAuthor = generateAuthorData();
+          newAuthor.username = author.username;
+          return settle(chai.request(app)
+            .post('/authors')
+            .set('Authorization', bearer(token))
+            .send(newAuthor));
+        })
+        .then(function(res) {
+          res.should.have.status(400);
+        });
+    });
+  });
+
+  describe('PUT endpoint', function() {
+
+    it('should rename an author everywhere their posts appear', function() {
+      let author;
+      return Author
+        .findOne()
+        .then(function(_author) {
+          author = _author;
+          return BlogPost.create({
+            author: author._id,
+            title: faker.lorem.sentence(),
+            content: faker.lorem.paragraph()
+          });
+        })
+        .then(function() {
+          return chai.request(app)
+            .put(`/authors/${author.id}`)
+            .set('Authorization', bearer(token))
+            .send({id: author.id, firstName: 'Renamed'});
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.firstName.should.equal('Renamed');
+          return BlogPost.findOne({author: author._id});
+        })
+        .then(function(post) {
+          post.authorName.should.equal(`Renamed ${author.lastName}`);
+        });
+    });
+  });
+
+  describe('DELETE endpoint', function() {
+
+    it('should delete an author without posts', function() {
+      let author;
+      return Author
+        .findOne()
+        .then(function(_author) {
+          author = _author;
+          return chai.request(app)
+            .delete(`/authors/${author.id}`)
+            .set('Authorization', bearer(token));
+        })
+        .then(function(res) {
+          res.should.have.status(204);
+          return Author.findById(author.id);
+        })
+        .then(function(_author) {
+          should.not.exist(_author);
+        });
+    });
+
+    it('should refuse to delete an author who still has posts', function() {
+      let author;
+      return Author
+        .findOne()
+        .then(function(_author) {
+          author = _author;
+          return BlogPost.create({
+            author: author._id,
+            title: faker.lorem.sentence(),
+            content: faker.lorem.paragraph()
+          });
+        })
+        .then(function() {
+          return settle(chai.request(app)
+            .delete(`/authors/${author.id}`)
+            .set('Authorization', bearer(token)));
+        })
+        .then(function(res) {
+          res.should.have.status(409);
+          return Author.findById(author.id);
+        })
+        .then(function(_author) {
+          should.exist(_author);
+        });
+    });
+  });
+
+  describe('embedded author migration', function() {
+
+    it('should turn embedded authors into Author references', function() {
+      // written straight to the collection, the way seed-data.json
+      // ends up there through mongoimport
+      const legacyPosts = [
+        {title: 'one', content: 'a', author: {firstName: 'Billy', lastName: 'Smith'}},
+        {title: 'two', content: 'b', author: {firstName: 'Billy', lastName: 'Smith'}},
+        {title: 'three', content: 'c', author: {firstName: 'Jane', lastName: 'Doe'}}
+      ];
+
+      return BlogPost.collection
+        .insertMany(legacyPosts)
+        .then(function() {
+          return migrateEmbeddedAuthors();
+        })
+        .then(function(summary) {
+          summary.postsMigrated.should.equal(3);
+          summary.authorsCreated.should.equal(2);
+          return BlogPost.find({title: {$in: ['one', 'two', 'three']}});
+        })
+        .then(function(posts) {
+          posts.should.have.lengthOf(3);
+          posts.forEach(function(post) {
+            post.author.should.have.property('username');
+          });
+          const one = posts.find(post => post.title === 'one');
+          const two = posts.find(post => post.title === 'two');
+          one.authorName.should.equal('Billy Smith');
+          one.author.id.should.equal(two.author.id);
+          return migrateEmbeddedAuthors();
+        })
+        .then(function(summary) {
+          summary.postsMigrated.should.equal(0);
+        });
+    });
+  });
+});
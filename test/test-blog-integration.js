@@ -9,32 +9,48 @@ const mongoose = require('mongoose');
 // this module
 const should = chai.should();
 
-const {BlogPost} = require('../models');
+const {Author, BlogPost} = require('../models');
 const {app, runServer, closeServer} = require('../server');
 const {TEST_DATABASE_URL} = require('../config');
+const {purgeTrash} = require('../scheduler');
+const {settle, createUserWithToken, bearer} = require('./helpers');
 
 chai.use(chaiHttp);
 
 
-function seedBlogData(){
+function seedBlogData(owner){
 	console.info('seeding blog data');
-	const seedData = [];
-	for (let i=1; i<=10; i++){
-		seedData.push(generateBlogData());
+	const authorData = [];
+	for (let i=1; i<=3; i++){
+		authorData.push(generateAuthorData());
 	}
-	//returning the promise using our {BlogPost} constant MODELS.JS data,
-	//{BlogPost} is at the bottom of models.js as our export.
-	return BlogPost.insertMany(seedData);
+	//every post needs an author to point at, so those go in first
+	return Author.insertMany(authorData)
+		.then(authors => {
+			const seedData = [];
+			for (let i=1; i<=10; i++){
+				seedData.push(generateBlogData(authors[i % authors.length], owner));
+			}
+			return BlogPost.insertMany(seedData);
+		});
+}
+
+
+function generateAuthorData(){
+	return {
+		firstName: faker.name.firstName(),
+		lastName: faker.name.lastName(),
+		username: faker.internet.userName() + faker.random.number()
+	};
 }
 
 
 //now we need to generate an object representing a blog post using faker.
-function generateBlogData(){
+function generateBlogData(author, owner){
 	return{
-		author: {
-      		firstName: faker.name.firstName(),
-      		lastName: faker.name.lastName()
-    	},
+		author: author._id,
+		owner: owner && owner._id,
+		status: 'published',
     	title: faker.lorem.sentence(),
     	content: faker.lorem.paragraph(),
     	created: faker.date.recent()
@@ -49,6 +65,10 @@ function tearDownDb(){
 }
 
 describe('Blog API Resource', function() {
+  // the seeded posts belong to this user, see `createUserWithToken`
+  let owner;
+  let token;
+
   // we need each of these hook functions to return a promise
   // otherwise we'd need to call a `done` callback. `runServer`,
   // `seedBlogData` and `tearDownDb` each return a promise,
@@ -59,7 +79,12 @@ describe('Blog API Resource', function() {
   });
 
   beforeEach(function() {
-    return seedBlogData();
+    return createUserWithToken()
+      .then(function(created) {
+        owner = created.user;
+        token = created.token;
+        return seedBlogData(owner);
+      });
   });
 
   afterEach(function() {
@@ -95,11 +120,13 @@ describe('Blog API Resource', function() {
           res = _res;
           res.should.have.status(200);
           // otherwise our db seeding didn't work
-          res.body.should.have.length.of.at.least(1);
+          res.body.posts.should.have.length.of.at.least(1);
           return BlogPost.count();
         })
         .then(function(count) {
-          res.body.should.have.lengthOf(count);
+          res.body.posts.should.have.lengthOf(count);
+          res.body.totalCount.should.equal(count);
+          should.not.exist(res.body.nextCursor);
         });
     });
 
@@ -112,15 +139,16 @@ describe('Blog API Resource', function() {
         .then(function(res) {
           res.should.have.status(200);
           res.should.be.json;
-          res.body.should.be.a('array');
-          res.body.should.have.length.of.at.least(1);
+          res.body.should.include.keys('posts', 'nextCursor', 'totalCount');
+          res.body.posts.should.be.a('array');
+          res.body.posts.should.have.length.of.at.least(1);
 
-          res.body.forEach(function(blog) {
+          res.body.posts.forEach(function(blog) {
             blog.should.be.a('object');
             blog.should.include.keys(
-              'id', 'title', 'content', 'author', 'created');
+              'id', 'title', 'content', 'authorId', 'authorName', 'created');
           });
-          resBlog = res.body[0];
+          resBlog = res.body.posts[0];
           return BlogPost.findById(resBlog.id);
         })
         .then(function(blog) {
@@ -128,14 +156,177 @@ describe('Blog API Resource', function() {
           resBlog.id.should.equal(blog.id);
           resBlog.title.should.equal(blog.title);
           resBlog.content.should.equal(blog.content);
-          resBlog.author.should.equal(blog.authorName);
+          resBlog.authorName.should.equal(blog.authorName);
+          resBlog.authorId.should.equal(blog.author.id);
           // resBlog.created.should.contain(blog.created);
         });
     });
+
+    it('should page through blogs with a cursor', function() {
+      // strategy: walk the listing 3 posts at a time and prove that
+      // every post shows up exactly once, newest first
+      const seen = [];
+
+      function fetchPage(cursor) {
+        const request = chai.request(app).get('/posts').query({limit: 3});
+        if (cursor) {
+          request.query({cursor});
+        }
+        return request.then(function(res) {
+          res.should.have.status(200);
+          res.body.posts.should.have.length.of.at.most(3);
+          seen.push(...res.body.posts);
+          if (res.body.nextCursor) {
+            return fetchPage(res.body.nextCursor);
+          }
+        });
+      }
+
+      return fetchPage()
+        .then(function() {
+          return BlogPost.find().sort({created: -1, _id: -1});
+        })
+        .then(function(blogs) {
+          seen.map(blog => blog.id).should.deep.equal(blogs.map(blog => blog.id));
+        });
+    });
+
+    it('should sort blogs by title', function() {
+      return chai.request(app)
+        .get('/posts')
+        .query({sort: 'title'})
+        .then(function(res) {
+          res.should.have.status(200);
+          const titles = res.body.posts.map(blog => blog.title);
+          titles.should.deep.equal(titles.slice().sort());
+        });
+    });
+
+    it('should filter blogs by author name', function() {
+      let blog;
+      return BlogPost
+        .findOne()
+        .then(function(_blog) {
+          blog = _blog;
+          return chai.request(app)
+            .get('/posts')
+            .query({author: blog.authorName});
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.posts.map(resBlog => resBlog.id).should.include(blog.id);
+        });
+    });
+
+    it('should filter blogs by created date range', function() {
+      let old;
+
+      return Author
+        .findOne()
+        .then(function(author) {
+          old = generateBlogData(author);
+          old.created = new Date('2001-01-01');
+          return BlogPost.create(old);
+        })
+        .then(function() {
+          return chai.request(app)
+            .get('/posts')
+            .query({createdBefore: '2002-01-01'});
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.totalCount.should.equal(1);
+          res.body.posts[0].title.should.equal(old.title);
+        });
+    });
+
+    it('should reject a malformed cursor', function() {
+      return settle(chai.request(app)
+        .get('/posts')
+        .query({cursor: 'not-a-cursor'}))
+        .then(function(res) {
+          res.should.have.status(400);
+          res.body.error.should.be.a('string');
+        });
+    });
   });
 
 
 //POST TEST
+describe('Search endpoint', function() {
+    // the afterEach hook drops the database along with its indexes, so
+    // these tests run against the no-text-index fallback
+    const titleMatch = {
+      title: 'Notes on the analytical engine',
+      content: 'The engine weaves algebraic patterns.'
+    };
+    const contentMatch = {
+      title: 'Difference tables',
+      content: 'A short note about the analytical engine and its cards.'
+    };
+
+    beforeEach(function() {
+      return Author
+        .insertMany([
+          {firstName: 'Ada', lastName: 'Lovelace', username: 'ada'},
+          {firstName: 'Charles', lastName: 'Babbage', username: 'cbabbage'}
+        ])
+        .then(function([ada, charles]) {
+          return BlogPost.insertMany([
+            Object.assign({author: charles._id, status: 'published'}, contentMatch),
+            Object.assign({author: ada._id, status: 'published'}, titleMatch)
+          ]);
+        });
+    });
+
+    it('should rank title matches above content matches', function() {
+      return chai.request(app)
+        .get('/posts/search')
+        .query({q: 'analytical'})
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.results.should.have.lengthOf(2);
+          res.body.results[0].title.should.equal(titleMatch.title);
+          res.body.results[1].title.should.equal(contentMatch.title);
+          res.body.results[0].score.should.be.above(res.body.results[1].score);
+          res.body.results[0].highlights.title.should.contain(
+            '<mark>analytical</mark>');
+        });
+    });
+
+    it('should match quoted phrases exactly', function() {
+      return chai.request(app)
+        .get('/posts/search')
+        .query({q: '"note about the analytical"'})
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.results.should.have.lengthOf(1);
+          res.body.results[0].title.should.equal(contentMatch.title);
+          res.body.results[0].highlights.content.should.contain(
+            '<mark>note about the analytical</mark>');
+        });
+    });
+
+    it('should filter results by author', function() {
+      return chai.request(app)
+        .get('/posts/search')
+        .query({q: 'engine', author: 'Babbage'})
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.results.should.have.lengthOf(1);
+          res.body.results[0].authorName.should.equal('Charles Babbage');
+        });
+    });
+
+    it('should require a query', function() {
+      return settle(chai.request(app).get('/posts/search'))
+        .then(function(res) {
+          res.should.have.status(400);
+        });
+    });
+  });
+
+
 describe('POST endpoint', function() {
     // strategy: make a POST request with data,
     // then prove that the blog we get back has
@@ -143,23 +334,34 @@ describe('POST endpoint', function() {
     // the data was inserted into db)
     it('should add a new blog', function() {
 
-      const newBlog = generateBlogData();
+      const newBlog = {
+        title: faker.lorem.sentence(),
+        content: faker.lorem.paragraph()
+      };
+      let author;
 
-      return chai.request(app)
-        .post('/posts')
-        .send(newBlog)
+      return Author
+        .findOne()
+        .then(function(_author) {
+          author = _author;
+          newBlog.authorId = author.id;
+          return chai.request(app)
+            .post('/posts')
+            .set('Authorization', bearer(token))
+            .send(newBlog);
+        })
         .then(function(res) {
           res.should.have.status(201);
           res.should.be.json;
           res.body.should.be.a('object');
           res.body.should.include.keys(
-            'id', 'title', 'content', 'author', 'created');
+            'id', 'title', 'content', 'authorId', 'authorName', 'created');
           res.body.title.should.equal(newBlog.title);
           // cause Mongo should have created id on insertion
           res.body.id.should.not.be.null;
 
           res.body.content.should.equal(newBlog.content);
-          res.body.author.should.equal(`${newBlog.author.firstName} ${newBlog.author.lastName}`);
+          res.body.authorName.should.equal(`${author.firstName} ${author.lastName}`);
           // res.body.created.should.equal(newBlog.created);
 
           return BlogPost.findById(res.body.id);
@@ -167,11 +369,142 @@ describe('POST endpoint', function() {
         .then(function(blog) {
           blog.title.should.equal(newBlog.title);
           blog.content.should.equal(newBlog.content);
-          blog.author.firstName.should.equal(newBlog.author.firstName);
-          blog.author.lastName.should.equal(newBlog.author.lastName);
+          blog.author.id.should.equal(author.id);
+          blog.isOwnedBy(owner).should.be.true;
+          // new posts start out as drafts
+          blog.status.should.equal('draft');
           // blog.created.should.equal(newBlog.created);
         });
     });
+
+    it('should refuse a post without a token', function() {
+      return Author
+        .findOne()
+        .then(function(author) {
+          return settle(chai.request(app)
+            .post('/posts')
+            .send({
+              title: faker.lorem.sentence(),
+              content: faker.lorem.paragraph(),
+              authorId: author.id
+            }));
+        })
+        .then(function(res) {
+          res.should.have.status(401);
+        });
+    });
+
+    it('should refuse a post for an unknown author', function() {
+      const newBlog = {
+        title: faker.lorem.sentence(),
+        content: faker.lorem.paragraph(),
+        authorId: new mongoose.Types.ObjectId().toString()
+      };
+
+      return settle(chai.request(app)
+        .post('/posts')
+        .set('Authorization', bearer(token))
+        .send(newBlog))
+        .then(function(res) {
+          res.should.have.status(400);
+        });
+    });
+  });
+
+
+describe('Publishing workflow', function() {
+    let draft;
+
+    beforeEach(function() {
+      return BlogPost
+        .findOne()
+        .then(function(blog) {
+          return BlogPost.create({
+            author: blog.author._id,
+            owner: owner._id,
+            title: 'A draft',
+            content: 'Not ready yet'
+          });
+        })
+        .then(function(_draft) {
+          draft = _draft;
+        });
+    });
+
+    it('should hide drafts from anonymous readers', function() {
+      return settle(chai.request(app).get(`/posts/${draft.id}`))
+        .then(function(res) {
+          res.should.have.status(404);
+          return chai.request(app).get('/posts').query({limit: 100});
+        })
+        .then(function(res) {
+          res.body.posts.map(blog => blog.id).should.not.include(draft.id);
+        });
+    });
+
+    it('should show drafts to their owner', function() {
+      return chai.request(app)
+        .get(`/posts/${draft.id}`)
+        .set('Authorization', bearer(token))
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.status.should.equal('draft');
+        });
+    });
+
+    it('should publish a draft', function() {
+      return chai.request(app)
+        .post(`/posts/${draft.id}/publish`)
+        .set('Authorization', bearer(token))
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.status.should.equal('published');
+          should.exist(res.body.publishedAt);
+          return chai.request(app).get(`/posts/${draft.id}`);
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+        });
+    });
+
+    it('should publish scheduled posts once they are due', function() {
+      const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+      return chai.request(app)
+        .post(`/posts/${draft.id}/schedule`)
+        .set('Authorization', bearer(token))
+        .send({publishAt: publishAt.toISOString()})
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.status.should.equal('scheduled');
+          return BlogPost.publishDue();
+        })
+        .then(function(posts) {
+          // not due yet
+          posts.should.have.lengthOf(0);
+          return BlogPost.publishDue(new Date(publishAt.getTime() + 1000));
+        })
+        .then(function(posts) {
+          posts.should.have.lengthOf(1);
+          posts[0].id.should.equal(draft.id);
+          return BlogPost.findById(draft.id);
+        })
+        .then(function(blog) {
+          blog.status.should.equal('published');
+        });
+    });
+
+    it('should refuse a transition that is not allowed', function() {
+      return BlogPost
+        .update({_id: draft._id}, {$set: {status: 'archived'}})
+        .then(function() {
+          return settle(chai.request(app)
+            .post(`/posts/${draft.id}/publish`)
+            .set('Authorization', bearer(token)));
+        })
+        .then(function(res) {
+          res.should.have.status(409);
+        });
+    });
   });
 
 
@@ -186,15 +519,15 @@ describe('PUT endpoint', function() {
     it('should update fields you send over', function() {
       const updateData = {
         title: 'I hope this title works',
-        content: 'This is some sweet test content',
-        author: {
-        	firstName: 'Tyler',
-        	lastName: 'Gray'
-        }
+        content: 'This is some sweet test content'
       };
 
-      return BlogPost
-        .findOne()
+      return Author
+        .create({firstName: 'Tyler', lastName: 'Gray', username: 'tgray'})
+        .then(function(author) {
+          updateData.authorId = author.id;
+          return BlogPost.findOne();
+        })
         .then(function(blog) {
           updateData.id = blog.id;
 
@@ -202,18 +535,44 @@ describe('PUT endpoint', function() {
           // data we sent
           return chai.request(app)
             .put(`/posts/${blog.id}`)
+            .set('Authorization', bearer(token))
             .send(updateData);
         })
         .then(function(res) {
-          res.should.have.status(204);
+          res.should.have.status(200);
+          res.body.title.should.equal(updateData.title);
 
           return BlogPost.findById(updateData.id);
         })
         .then(function(blog) {
           blog.title.should.equal(updateData.title);
           blog.content.should.equal(updateData.content);
-          blog.author.firstName.should.equal(updateData.author.firstName);
-          blog.author.lastName.should.equal(updateData.author.lastName);
+          blog.author.id.should.equal(updateData.authorId);
+          blog.authorName.should.equal('Tyler Gray');
+        });
+    });
+
+    it('should only let the owner update a post', function() {
+      let blog;
+      return BlogPost
+        .findOne()
+        .then(function(_blog) {
+          blog = _blog;
+          return createUserWithToken();
+        })
+        .then(function(stranger) {
+          return settle(chai.request(app)
+            .patch(`/posts/${blog.id}`)
+            .set('Authorization', bearer(stranger.token))
+            .type('application/merge-patch+json')
+            .send({title: 'not mine'}));
+        })
+        .then(function(res) {
+          res.should.have.status(403);
+          return BlogPost.findById(blog.id);
+        })
+        .then(function(_blog) {
+          _blog.title.should.equal(blog.title);
         });
     });
   });
@@ -225,7 +584,7 @@ describe('DELETE endpoint', function() {
     //  1. get a blog
     //  2. make a DELETE request for that blog's id
     //  3. assert that response has right status code
-    //  4. prove that blog with the id doesn't exist in db anymore
+    //  4. prove that blog with the id is in the trash and can't be read
     it('delete a restaurant by id', function() {
 
       let blog;
@@ -234,18 +593,86 @@ describe('DELETE endpoint', function() {
         .findOne()
         .then(function(_blog) {
           blog = _blog;
-          return chai.request(app).delete(`/posts/${blog.id}`);
+          return chai.request(app)
+            .delete(`/posts/${blog.id}`)
+            .set('Authorization', bearer(token));
         })
         .then(function(res) {
           res.should.have.status(204);
           return BlogPost.findById(blog.id);
         })
         .then(function(_blog) {
-          // when a variable's value is null, chaining `should`
-          // doesn't work. so `_restaurant.should.be.null` would raise
-          // an error. `should.be.null(_restaurant)` is how we can
-          // make assertions about a null value.
-          should.not.exist(_blog);
+          // deleting only moves the post to the trash
+          should.exist(_blog.deletedAt);
+          _blog.deletedBy.toString().should.equal(owner.id);
+          return settle(chai.request(app).get(`/posts/${blog.id}`));
+        })
+        .then(function(res) {
+          res.should.have.status(404);
+        });
+    });
+
+    it('should list trashed posts and restore them', function() {
+      let blog;
+
+      return BlogPost
+        .findOne()
+        .then(function(_blog) {
+          blog = _blog;
+          return chai.request(app)
+            .delete(`/posts/${blog.id}`)
+            .set('Authorization', bearer(token));
+        })
+        .then(function() {
+          return chai.request(app)
+            .get('/trash')
+            .set('Authorization', bearer(token));
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.map(trashed => trashed.id).should.deep.equal([blog.id]);
+          return chai.request(app)
+            .post(`/posts/${blog.id}/restore`)
+            .set('Authorization', bearer(token));
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          should.not.exist(res.body.deletedAt);
+          return chai.request(app).get(`/posts/${blog.id}`);
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+        });
+    });
+
+    it('should purge posts that outlived the retention period', function() {
+      let recent;
+      let expired;
+      const longAgo = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000);
+
+      return BlogPost
+        .find()
+        .limit(2)
+        .then(function(blogs) {
+          [recent, expired] = blogs;
+          return Promise.all([
+            BlogPost.update({_id: recent._id}, {$set: {deletedAt: new Date()}}),
+            BlogPost.update({_id: expired._id}, {$set: {deletedAt: longAgo}})
+          ]);
+        })
+        .then(function() {
+          return purgeTrash();
+        })
+        .then(function(count) {
+          count.should.equal(1);
+          return Promise.all([
+            BlogPost.findById(recent.id),
+            BlogPost.findById(expired.id)
+          ]);
+        })
+        .then(function([_recent, _expired]) {
+          should.exist(_recent);
+          should.not.exist(_expired);
         });
     });
   });
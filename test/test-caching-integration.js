@@ -0,0 +1,165 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+describe('HTTP caching', function() {
+  let editor;
+  let post;
+
+  function update(fields, etag) {
+    const request = chai.request(app)
+      .patch(`/posts/${post.id}`)
+      .set('Authorization', bearer(editor.token))
+      .type('application/merge-patch+json');
+    if (etag) {
+      request.set('If-Match', etag);
+    }
+    return settle(request.send(fields));
+  }
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return createUserWithToken({role: 'editor'})
+      .then(function(created) {
+        editor = created;
+        return Author.create({
+          firstName: faker.name.firstName(),
+          lastName: faker.name.lastName(),
+          username: faker.internet.userName()
+        });
+      })
+      .then(function(author) {
+        return BlogPost.create({
+          author: author._id,
+          title: faker.lorem.sentence(),
+          content: faker.lorem.paragraph(),
+          status: 'published'
+        });
+      })
+      .then(function(_post) {
+        post = _post;
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  it('should answer 304 to a request with a current ETag', function() {
+    return chai.request(app)
+      .get(`/posts/${post.id}`)
+      .then(function(res) {
+        res.should.have.status(200);
+        res.headers.etag.should.match(/^"[0-9a-f]{40}"$/);
+        // every read counts as a view, so it has to reach the server
+        res.headers['cache-control'].should.equal('private, no-cache');
+        should.exist(res.headers['last-modified']);
+        return settle(chai.request(app)
+          .get(`/posts/${post.id}`)
+          .set('If-None-Match', res.headers.etag));
+      })
+      .then(function(res) {
+        res.should.have.status(304);
+      });
+  });
+
+  it('should answer 304 to a request for a post not modified since', function() {
+    return settle(chai.request(app)
+      .get(`/posts/${post.id}`)
+      .set('If-Modified-Since', new Date(Date.now() + 1000).toUTCString()))
+      .then(function(res) {
+        res.should.have.status(304);
+      });
+  });
+
+  it('should change the ETag when the post changes', function() {
+    let etag;
+    return chai.request(app)
+      .get(`/posts/${post.id}`)
+      .then(function(res) {
+        etag = res.headers.etag;
+        return update({content: 'Rewritten'});
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        return settle(chai.request(app)
+          .get(`/posts/${post.id}`)
+          .set('If-None-Match', etag));
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        res.headers.etag.should.not.equal(etag);
+        res.body.content.should.equal('Rewritten');
+      });
+  });
+
+  it('should revalidate the listing', function() {
+    return chai.request(app)
+      .get('/posts')
+      .then(function(res) {
+        res.headers['cache-control'].should.contain('public');
+        return settle(chai.request(app)
+          .get('/posts')
+          .set('If-None-Match', res.headers.etag));
+      })
+      .then(function(res) {
+        res.should.have.status(304);
+      });
+  });
+
+  it('should keep responses to signed-in users private', function() {
+    return chai.request(app)
+      .get(`/posts/${post.id}`)
+      .set('Authorization', bearer(editor.token))
+      .then(function(res) {
+        res.headers['cache-control'].should.equal('private, no-cache');
+        res.headers.vary.should.contain('Authorization');
+      });
+  });
+
+  it('should only update a post whose ETag matches', function() {
+    let etag;
+    return chai.request(app)
+      .get(`/posts/${post.id}`)
+      .then(function(res) {
+        etag = res.headers.etag;
+        return update({title: 'First editor'}, etag);
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        res.headers.etag.should.not.equal(etag);
+        // the second editor still has the old version
+        return update({title: 'Second editor'}, etag);
+      })
+      .then(function(res) {
+        res.should.have.status(412);
+        return BlogPost.findById(post._id);
+      })
+      .then(function(found) {
+        found.title.should.equal('First editor');
+      });
+  });
+});
@@ -0,0 +1,244 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost, Comment} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function generateCommentData() {
+  return {
+    author: faker.name.firstName(),
+    content: faker.lorem.sentence()
+  };
+}
+
+// one post with a short thread: a top-level comment, a reply to it and
+// a reply to that reply, all written by `seeded.user`
+function seedCommentData() {
+  const seeded = {};
+  return createUserWithToken()
+    .then(created => {
+      Object.assign(seeded, created);
+      return Author.create({
+        firstName: faker.name.firstName(),
+        lastName: faker.name.lastName(),
+        username: faker.internet.userName()
+      });
+    })
+    .then(author => BlogPost.create({
+      author: author._id,
+      owner: seeded.user._id,
+      status: 'published',
+      title: faker.lorem.sentence(),
+      content: faker.lorem.paragraph()
+    }))
+    .then(post => {
+      seeded.post = post;
+      return Comment.create(Object.assign(
+        {post: post._id, owner: seeded.user._id}, generateCommentData()));
+    })
+    .then(comment => {
+      seeded.comment = comment;
+      return Comment.create(Object.assign(
+        {post: seeded.post._id, parent: comment._id, owner: seeded.user._id},
+        generateCommentData()));
+    })
+    .then(reply => {
+      seeded.reply = reply;
+      return Comment.create(Object.assign(
+        {post: seeded.post._id, parent: reply._id, owner: seeded.user._id},
+        generateCommentData()));
+    })
+    .then(nestedReply => {
+      seeded.nestedReply = nestedReply;
+      return seeded;
+    });
+}
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+describe('Comments API resource', function() {
+  let seeded;
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return seedCommentData().then(_seeded => {
+      seeded = _seeded;
+    });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  describe('GET endpoint', function() {
+
+    it('should return comments as threads', function() {
+      return chai.request(app)
+        .get(`/posts/${seeded.post.id}/comments`)
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.should.have.lengthOf(1);
+          const top = res.body[0];
+          top.id.should.equal(seeded.comment.id);
+          top.replies.should.have.lengthOf(1);
+          top.replies[0].id.should.equal(seeded.reply.id);
+          top.replies[0].replies[0].id.should.equal(seeded.nestedReply.id);
+        });
+    });
+
+    it('should 404 for a post that does not exist', function() {
+      const missingId = new mongoose.Types.ObjectId().toString();
+      return settle(chai.request(app).get(`/posts/${missingId}/comments`))
+        .then(function(res) {
+          res.should.have.status(404);
+        });
+    });
+
+    it('should include comments when serializing a post', function() {
+      return chai.request(app)
+        .get(`/posts/${seeded.post.id}`)
+        .query({include: 'commentCount'})
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.commentCount.should.equal(3);
+          return chai.request(app)
+            .get(`/posts/${seeded.post.id}`)
+            .query({include: 'comments'});
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.comments.should.have.lengthOf(1);
+          res.body.comments[0].replies.should.have.lengthOf(1);
+        });
+    });
+  });
+
+  describe('POST endpoint', function() {
+
+    it('should add a reply to a comment', function() {
+      const newComment = Object.assign(
+        {parentId: seeded.comment.id}, generateCommentData());
+
+      return chai.request(app)
+        .post(`/posts/${seeded.post.id}/comments`)
+        .set('Authorization', bearer(seeded.token))
+        .send(newComment)
+        .then(function(res) {
+          res.should.have.status(201);
+          res.body.should.include.keys(
+            'id', 'postId', 'parentId', 'author', 'content', 'created');
+          res.body.parentId.should.equal(seeded.comment.id);
+          res.body.content.should.equal(newComment.content);
+        });
+    });
+
+    it('should refuse a reply to a comment on another post', function() {
+      let otherPost;
+      return BlogPost
+        .create({
+          author: seeded.post.author,
+          title: faker.lorem.sentence(),
+          content: faker.lorem.paragraph()
+        })
+        .then(function(_otherPost) {
+          otherPost = _otherPost;
+          const newComment = Object.assign(
+            {parentId: seeded.comment.id}, generateCommentData());
+          return settle(chai.request(app)
+            .post(`/posts/${otherPost.id}/comments`)
+            .set('Authorization', bearer(seeded.token))
+            .send(newComment));
+        })
+        .then(function(res) {
+          res.should.have.status(400);
+        });
+    });
+  });
+
+  describe('PUT endpoint', function() {
+
+    it('should update the comment content', function() {
+      return chai.request(app)
+        .put(`/posts/${seeded.post.id}/comments/${seeded.reply.id}`)
+        .set('Authorization', bearer(seeded.token))
+        .send({content: 'edited'})
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.content.should.equal('edited');
+          return Comment.findById(seeded.reply.id);
+        })
+        .then(function(comment) {
+          comment.content.should.equal('edited');
+        });
+    });
+
+    it('should only let the owner update a comment', function() {
+      return createUserWithToken()
+        .then(function(stranger) {
+          return settle(chai.request(app)
+            .put(`/posts/${seeded.post.id}/comments/${seeded.reply.id}`)
+            .set('Authorization', bearer(stranger.token))
+            .send({content: 'not mine'}));
+        })
+        .then(function(res) {
+          res.should.have.status(403);
+        });
+    });
+  });
+
+  describe('DELETE endpoint', function() {
+
+    it('should delete a comment and the replies beneath it', function() {
+      return chai.request(app)
+        .delete(`/posts/${seeded.post.id}/comments/${seeded.reply.id}`)
+        .set('Authorization', bearer(seeded.token))
+        .then(function(res) {
+          res.should.have.status(204);
+          return Comment.find({post: seeded.post._id});
+        })
+        .then(function(comments) {
+          comments.map(comment => comment.id).should.deep.equal([seeded.comment.id]);
+        });
+    });
+
+    it('should delete the comments of a purged post', function() {
+      return chai.request(app)
+        .delete(`/posts/${seeded.post.id}`)
+        .set('Authorization', bearer(seeded.token))
+        .then(function(res) {
+          res.should.have.status(204);
+          // the comments stay while the post is in the trash
+          return Comment.count({post: seeded.post._id});
+        })
+        .then(function(count) {
+          count.should.equal(3);
+          return BlogPost.purgeTrashed(new Date(Date.now() + 1000));
+        })
+        .then(function() {
+          return Comment.count({post: seeded.post._id});
+        })
+        .then(function(count) {
+          count.should.equal(0);
+        });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {app, runServer, closeServer} = require('../server');
+const {settle} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+// every error response carries the same envelope
+function shouldBeErrorEnvelope(res, status) {
+  res.should.have.status(status);
+  res.should.be.json;
+  res.body.should.include.keys('error', 'status', 'requestId');
+  res.body.status.should.equal(status);
+  res.body.requestId.should.equal(res.headers['x-request-id']);
+}
+
+describe('Error responses', function() {
+
+  before(function() {
+    return runServer();
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  it('should answer 404 for a post that does not exist', function() {
+    const id = new mongoose.Types.ObjectId().toString();
+    return settle(chai.request(app).get(`/posts/${id}`))
+      .then(function(res) {
+        shouldBeErrorEnvelope(res, 404);
+        res.body.error.should.equal('Post not found');
+      });
+  });
+
+  it('should answer 404 for an unknown route', function() {
+    return settle(chai.request(app).get('/no-such-thing'))
+      .then(function(res) {
+        shouldBeErrorEnvelope(res, 404);
+      });
+  });
+
+  it('should answer 400 for malformed JSON', function() {
+    return settle(chai.request(app)
+      .post('/auth/login')
+      .set('Content-Type', 'application/json')
+      .send('{"username": '))
+      .then(function(res) {
+        shouldBeErrorEnvelope(res, 400);
+      });
+  });
+
+  it('should answer 400 when mongoose cannot cast a value', function() {
+    // a well-formed cursor whose id isn't an ObjectId gets as far as the
+    // query before it fails
+    const cursor = Buffer.from(JSON.stringify({v: new Date().toISOString(), id: 'nope'}))
+      .toString('base64');
+    return settle(chai.request(app).get('/posts').query({cursor}))
+      .then(function(res) {
+        shouldBeErrorEnvelope(res, 400);
+        res.body.error.should.equal('Invalid value for `_id`');
+      });
+  });
+
+  it('should reuse the request id the caller sent', function() {
+    return settle(chai.request(app)
+      .get('/no-such-thing')
+      .set('X-Request-Id', 'trace-42'))
+      .then(function(res) {
+        res.headers['x-request-id'].should.equal('trace-42');
+        res.body.requestId.should.equal('trace-42');
+      });
+  });
+
+  it('should tag successful responses with a request id too', function() {
+    return chai.request(app)
+      .get('/authors')
+      .then(function(res) {
+        res.should.have.status(200);
+        should.exist(res.headers['x-request-id']);
+      });
+  });
+});
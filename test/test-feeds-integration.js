@@ -0,0 +1,152 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {settle} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+describe('Feeds', function() {
+  let ada;
+  let charles;
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return Author
+      .insertMany([
+        {firstName: 'Ada', lastName: 'Lovelace', username: 'ada'},
+        {firstName: 'Charles', lastName: 'Babbage', username: 'cbabbage'}
+      ])
+      .then(function(authors) {
+        [ada, charles] = authors;
+        return BlogPost.insertMany([
+          {author: ada._id, title: 'Notes & sketches', content: faker.lorem.paragraph(),
+            status: 'published', tags: ['engines']},
+          {author: charles._id, title: 'Difference tables', content: faker.lorem.paragraph(),
+            status: 'published'},
+          {author: ada._id, title: 'Unfinished thoughts', content: faker.lorem.paragraph(),
+            status: 'draft', tags: ['engines']}
+        ]);
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  it('should serve published posts as RSS', function() {
+    return chai.request(app)
+      .get('/feed.rss')
+      .buffer()
+      .then(function(res) {
+        res.should.have.status(200);
+        res.headers['content-type'].should.contain('application/rss+xml');
+        res.text.should.contain('<rss version="2.0"');
+        res.text.should.contain('<title>Notes &amp; sketches</title>');
+        res.text.should.contain('<author>Charles Babbage</author>');
+        res.text.should.not.contain('Unfinished thoughts');
+      });
+  });
+
+  it('should serve published posts as Atom', function() {
+    return chai.request(app)
+      .get('/feed.atom')
+      .buffer()
+      .then(function(res) {
+        res.should.have.status(200);
+        res.headers['content-type'].should.contain('application/atom+xml');
+        res.text.should.contain('<feed xmlns="http://www.w3.org/2005/Atom">');
+        res.text.match(/<entry>/g).should.have.lengthOf(2);
+      });
+  });
+
+  it('should have a feed per author', function() {
+    return chai.request(app)
+      .get(`/authors/${charles.id}/feed.atom`)
+      .buffer()
+      .then(function(res) {
+        res.should.have.status(200);
+        res.text.should.contain('Difference tables');
+        res.text.should.not.contain('Notes &amp; sketches');
+      });
+  });
+
+  it('should have a feed per tag', function() {
+    return chai.request(app)
+      .get('/tags/engines/feed.rss')
+      .buffer()
+      .then(function(res) {
+        res.should.have.status(200);
+        res.text.match(/<item>/g).should.have.lengthOf(1);
+        res.text.should.contain('Notes &amp; sketches');
+      });
+  });
+
+  it('should answer 304 while the feed is unchanged', function() {
+    let etag;
+    return chai.request(app)
+      .get('/feed.rss')
+      .then(function(res) {
+        etag = res.headers.etag;
+        should.exist(etag);
+        should.not.exist(res.headers['last-modified']);
+        return settle(chai.request(app).get('/feed.rss').set('If-None-Match', etag));
+      })
+      .then(function(res) {
+        res.should.have.status(304);
+        return BlogPost.update({title: 'Difference tables'}, {$set: {status: 'archived'}});
+      })
+      .then(function() {
+        return chai.request(app).get('/feed.rss').set('If-None-Match', etag);
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        res.headers.etag.should.not.equal(etag);
+      });
+  });
+
+  it('should list posts by when they were published, not created', function() {
+    const drafted = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    let since;
+    return chai.request(app)
+      .get('/feed.atom')
+      .then(function() {
+        since = new Date().toUTCString();
+        // drafted a day ago and published after the client's copy, so
+        // older than `since` by its creation date alone
+        return BlogPost.create({author: charles._id, title: 'A late sketch',
+          content: faker.lorem.paragraph(), status: 'published', created: drafted,
+          publishedAt: new Date()});
+      })
+      .then(function() {
+        return settle(chai.request(app)
+          .get('/feed.atom')
+          .set('If-Modified-Since', since)
+          .buffer());
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        res.text.match(/<title>([^<]*)<\/title>/g)[1].should.equal('<title>A late sketch</title>');
+        res.text.should.not.contain(`<published>${drafted.toISOString()}</published>`);
+      });
+  });
+});
@@ -0,0 +1,309 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost, Category} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function seedBlogData(owner) {
+  const authorData = [];
+  for (let i = 1; i <= 3; i++) {
+    authorData.push({
+      firstName: faker.name.firstName(),
+      lastName: faker.name.lastName(),
+      username: faker.internet.userName() + faker.random.number()
+    });
+  }
+  return Author.insertMany(authorData)
+    .then(authors => {
+      const seedData = [];
+      for (let i = 1; i <= 10; i++) {
+        seedData.push({
+          author: authors[i % authors.length]._id,
+          owner: owner._id,
+          status: 'published',
+          title: faker.lorem.sentence(),
+          content: faker.lorem.paragraph(),
+          created: faker.date.recent()
+        });
+      }
+      return BlogPost.insertMany(seedData);
+    });
+}
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+// sends a GraphQL request, signed in when there's a token, and resolves
+// with the response whatever its status
+function graphql(query, variables, token) {
+  const request = chai.request(app).post('/graphql');
+  if (token) {
+    request.set('Authorization', bearer(token));
+  }
+  return settle(request.send({query, variables}));
+}
+
+describe('GraphQL API', function() {
+  let owner;
+  let token;
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return createUserWithToken()
+      .then(function(created) {
+        owner = created.user;
+        token = created.token;
+        return seedBlogData(owner);
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  describe('posts query', function() {
+    it('should return posts with their authors in one request', function() {
+      let res;
+      return graphql(`{
+        posts {
+          totalCount
+          nextCursor
+          posts { id title content authorId authorName author { id username } }
+        }
+      }`)
+        .then(function(_res) {
+          res = _res;
+          res.should.have.status(200);
+          should.not.exist(res.body.errors);
+          return BlogPost.count();
+        })
+        .then(function(count) {
+          const page = res.body.data.posts;
+          page.totalCount.should.equal(count);
+          page.posts.should.have.lengthOf(count);
+          should.not.exist(page.nextCursor);
+          page.posts.forEach(function(post) {
+            post.author.id.should.equal(post.authorId);
+          });
+          return BlogPost.findById(page.posts[0].id);
+        })
+        .then(function(post) {
+          const found = res.body.data.posts.posts[0];
+          found.title.should.equal(post.title);
+          found.content.should.equal(post.content);
+          found.authorName.should.equal(post.authorName);
+          found.author.username.should.equal(post.author.username);
+        });
+    });
+
+    it('should page through posts with a cursor', function() {
+      const seen = [];
+
+      function fetchPage(cursor) {
+        return graphql(`query($cursor: String) {
+          posts(limit: 3, cursor: $cursor) { nextCursor posts { id } }
+        }`, {cursor})
+          .then(function(res) {
+            const page = res.body.data.posts;
+            page.posts.should.have.length.of.at.most(3);
+            seen.push(...page.posts);
+            if (page.nextCursor) {
+              return fetchPage(page.nextCursor);
+            }
+          });
+      }
+
+      return fetchPage()
+        .then(function() {
+          return BlogPost.find().sort({created: -1, _id: -1});
+        })
+        .then(function(posts) {
+          seen.map(post => post.id).should.deep.equal(posts.map(post => post.id));
+        });
+    });
+
+    it('should filter posts by author name', function() {
+      let author;
+      return Author.findOne()
+        .then(function(_author) {
+          author = _author;
+          return graphql('query($author: String) { posts(author: $author) { posts { authorId } } }',
+            {author: author.username});
+        })
+        .then(function(res) {
+          const posts = res.body.data.posts.posts;
+          posts.should.have.length.of.at.least(1);
+          posts.forEach(post => post.authorId.should.equal(author.id));
+        });
+    });
+
+    it('should hide drafts from anonymous readers', function() {
+      let draft;
+      return BlogPost.findOneAndUpdate({}, {status: 'draft'}, {new: true})
+        .then(function(_draft) {
+          draft = _draft;
+          return graphql('query($id: ID) { post(id: $id) { id } }', {id: draft.id});
+        })
+        .then(function(res) {
+          should.equal(res.body.data.post, null);
+          return graphql('query($id: ID) { post(id: $id) { id status } }', {id: draft.id}, token);
+        })
+        .then(function(res) {
+          res.body.data.post.status.should.equal('draft');
+        });
+    });
+
+    it('should answer 400 for a query that does not fit the schema', function() {
+      return graphql('{ posts { nope } }')
+        .then(function(res) {
+          res.should.have.status(400);
+          should.not.exist(res.body.data);
+          res.body.errors.should.have.lengthOf(1);
+        });
+    });
+  });
+
+  it('should return authors and categories', function() {
+    return Category.create({name: 'Guides'})
+      .then(function() {
+        return graphql('{ authors { id name } categories { name slug } }');
+      })
+      .then(function(res) {
+        res.body.data.authors.should.have.lengthOf(3);
+        res.body.data.categories.should.deep.equal([{name: 'Guides', slug: 'guides'}]);
+      });
+  });
+
+  describe('createPost mutation', function() {
+    const mutation = `mutation($input: CreatePostInput!) {
+      createPost(input: $input) { id title content status tags authorName }
+    }`;
+
+    it('should add a new post', function() {
+      let author;
+      return Author.findOne()
+        .then(function(_author) {
+          author = _author;
+          return graphql(mutation, {
+            input: {
+              title: 'Posted over GraphQL',
+              content: 'Some content',
+              authorId: author.id,
+              tags: ['GraphQL']
+            }
+          }, token);
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          const post = res.body.data.createPost;
+          post.title.should.equal('Posted over GraphQL');
+          post.status.should.equal('draft');
+          post.tags.should.deep.equal(['graphql']);
+          post.authorName.should.equal(author.name);
+          return BlogPost.findById(post.id);
+        })
+        .then(function(post) {
+          post.title.should.equal('Posted over GraphQL');
+          String(post.owner).should.equal(owner.id);
+        });
+    });
+
+    it('should refuse a post without a token', function() {
+      return graphql(mutation, {input: {title: 'x', content: 'y', authorId: owner.id}})
+        .then(function(res) {
+          should.equal(res.body.data, null);
+          res.body.errors[0].extensions.status.should.equal(401);
+        });
+    });
+
+    it('should apply the validation rules of the REST API', function() {
+      return Author.findOne()
+        .then(function(author) {
+          return graphql(mutation, {input: {title: '', content: 'y', authorId: author.id}}, token);
+        })
+        .then(function(res) {
+          const error = res.body.errors[0];
+          error.extensions.status.should.equal(400);
+          error.extensions.errors.map(item => item.field).should.deep.equal(['title']);
+        });
+    });
+  });
+
+  describe('updatePost mutation', function() {
+    const mutation = `mutation($id: ID!, $input: UpdatePostInput!) {
+      updatePost(id: $id, input: $input) { id title content }
+    }`;
+
+    it('should update the fields you send over', function() {
+      let post;
+      return BlogPost.findOne()
+        .then(function(_post) {
+          post = _post;
+          return graphql(mutation, {id: post.id, input: {title: 'Updated title'}}, token);
+        })
+        .then(function(res) {
+          res.body.data.updatePost.title.should.equal('Updated title');
+          res.body.data.updatePost.content.should.equal(post.content);
+          return BlogPost.findById(post.id);
+        })
+        .then(function(updated) {
+          updated.title.should.equal('Updated title');
+        });
+    });
+
+    it('should only let the owner update a post', function() {
+      let post;
+      return BlogPost.findOne()
+        .then(function(_post) {
+          post = _post;
+          return createUserWithToken();
+        })
+        .then(function(other) {
+          return graphql(mutation, {id: post.id, input: {title: 'Not mine'}}, other.token);
+        })
+        .then(function(res) {
+          res.body.errors[0].extensions.status.should.equal(403);
+        });
+    });
+  });
+
+  describe('deletePost mutation', function() {
+    it('should move the post to the trash', function() {
+      let post;
+      return BlogPost.findOne()
+        .then(function(_post) {
+          post = _post;
+          return graphql('mutation($id: ID!) { deletePost(id: $id) }', {id: post.id}, token);
+        })
+        .then(function(res) {
+          res.body.data.deletePost.should.equal(post.id);
+          return BlogPost.findById(post.id);
+        })
+        .then(function(trashed) {
+          should.exist(trashed.deletedAt);
+          return graphql('mutation($id: ID!) { deletePost(id: $id) }', {id: post.id}, token);
+        })
+        .then(function(res) {
+          res.body.errors[0].extensions.status.should.equal(404);
+        });
+    });
+  });
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+const chai = require('chai');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const os = require('os');
+const path = require('path');
+
+const should = chai.should();
+
+const {Author, BlogPost, Category, Revision} = require('../models');
+const {runServer, closeServer} = require('../server');
+const {importPosts, exportPosts} = require('../cli');
+const {readPosts, writePosts} = require('../postIO');
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+function entries(records) {
+  return records.map((record, i) => ({source: `record ${i + 1}`, record}));
+}
+
+describe('Importing and exporting posts', function() {
+  let directory;
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'posts-'));
+    return Category.create({name: 'News'});
+  });
+
+  afterEach(function() {
+    fs.rmSync(directory, {recursive: true, force: true});
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  it('should import seed data, creating the authors', function() {
+    const seedData = path.join(__dirname, '..', 'seed-data.json');
+    return readPosts('json', seedData)
+      .then(function(read) {
+        return importPosts(read)
+          .then(function(report) {
+            report.created.should.equal(read.length);
+            report.failed.should.deep.equal([]);
+            return Promise.all([BlogPost.count(), Author.findOne({firstName: 'Billy', lastName: 'Smith'})]);
+          })
+          .then(function([count, author]) {
+            count.should.equal(read.length);
+            should.exist(author);
+          });
+      });
+  });
+
+  it('should update the post with the same slug or title', function() {
+    const record = {
+      title: 'Release notes',
+      author: {username: 'ann', firstName: 'Ann', lastName: 'Lee'},
+      content: 'First draft',
+      tags: ['Releases']
+    };
+    return importPosts(entries([record]))
+      .then(function() {
+        return importPosts(entries([
+          Object.assign({}, record, {content: 'Final version', category: 'news', status: 'published'}),
+          Object.assign({}, record, {content: 'Final version', category: 'news', status: 'published'})
+        ]));
+      })
+      .then(function(report) {
+        report.updated.should.equal(1);
+        report.unchanged.should.equal(1);
+        return BlogPost.find();
+      })
+      .then(function(posts) {
+        posts.should.have.lengthOf(1);
+        const post = posts[0];
+        post.content.should.equal('Final version');
+        post.status.should.equal('published');
+        post.tags.should.deep.equal(['releases']);
+        should.exist(post.category);
+        return importPosts(entries([{slug: post.slug, title: 'Release notes, v2'}]));
+      })
+      .then(function(report) {
+        report.updated.should.equal(1);
+        return Promise.all([BlogPost.find(), Revision.find().sort({number: 1})]);
+      })
+      .then(function([posts, revisions]) {
+        posts.should.have.lengthOf(1);
+        posts[0].title.should.equal('Release notes, v2');
+        posts[0].content.should.equal('Final version');
+        revisions.map(revision => revision.number).should.deep.equal([1, 2, 3]);
+      });
+  });
+
+  it('should report the records it could not import', function() {
+    const author = {firstName: 'Ann', lastName: 'Lee'};
+    return importPosts([
+      {source: 'line 1', record: {title: 'Fine', author, content: 'ok'}},
+      {source: 'line 2', error: 'Invalid JSON: Unexpected token'},
+      {source: 'line 3', record: {author, content: 'no title'}},
+      {source: 'line 4', record: {title: 'Filed', author, category: 'nowhere'}},
+      {source: 'line 5', record: {title: 'Anonymous', content: 'no author'}},
+      {source: 'line 6', record: {title: 'Odd', author, status: 'lost'}}
+    ])
+      .then(function(report) {
+        report.created.should.equal(1);
+        report.failed.map(failure => failure.source)
+          .should.deep.equal(['line 2', 'line 3', 'line 4', 'line 5', 'line 6']);
+        report.failed[1].error.should.contain('title');
+        report.failed[2].error.should.contain('nowhere');
+        report.failed[4].error.should.contain('status');
+        return BlogPost.count();
+      })
+      .then(function(count) {
+        count.should.equal(1);
+      });
+  });
+
+  it('should not save anything on a dry run', function() {
+    return importPosts(entries([{title: 'Draft', author: {firstName: 'Ann', lastName: 'Lee'}}]), {dryRun: true})
+      .then(function(report) {
+        report.created.should.equal(1);
+        return Promise.all([BlogPost.count(), Author.count()]);
+      })
+      .then(function([posts, authors]) {
+        posts.should.equal(0);
+        authors.should.equal(0);
+      });
+  });
+
+  ['json', 'ndjson', 'csv', 'markdown'].forEach(function(format) {
+    it(`should export posts as ${format} and import them again`, function() {
+      const location = path.join(directory, `posts.${format}`);
+      const records = [
+        {
+          title: 'Hello, "world"',
+          author: {username: 'ann', firstName: 'Ann', lastName: 'Lee'},
+          content: '# Hello\n\nWith a comma, and "quotes".\n',
+          tags: ['greetings', 'intro'],
+          category: 'news',
+          status: 'published'
+        },
+        {title: 'Second', author: 'ann', content: 'More'}
+      ];
+      let exported;
+      return importPosts(entries(records))
+        .then(function() {
+          return exportPosts();
+        })
+        .then(function(_exported) {
+          exported = _exported;
+          exported.should.have.lengthOf(2);
+          exported[0].category.should.equal('news');
+          exported[0].author.username.should.equal('ann');
+          return writePosts(format, location, exported);
+        })
+        .then(function() {
+          return readPosts(format, location);
+        })
+        .then(function(read) {
+          read.map(entry => entry.record.title).sort()
+            .should.deep.equal(exported.map(record => record.title).sort());
+          const hello = read.find(entry => entry.record.title === records[0].title).record;
+          hello.content.should.equal(records[0].content);
+          hello.tags.should.deep.equal(records[0].tags);
+          return importPosts(read);
+        })
+        .then(function(report) {
+          report.unchanged.should.equal(2);
+          report.failed.should.deep.equal([]);
+        });
+    });
+  });
+});
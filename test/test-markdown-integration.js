@@ -0,0 +1,165 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {backfillExcerpts} = require('../migrate-post-excerpts');
+const {createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+const MARKDOWN = [
+  '# Getting started',
+  '',
+  'Some **bold** advice and [a link](https://example.com).',
+  '',
+  '<script>alert("xss")</script>',
+  '',
+  '[click me](javascript:alert(1)) <img src="https://example.com/a.png" onerror="alert(1)">'
+].join('\n');
+
+describe('Markdown content', function() {
+  let post;
+
+  function getPost(format) {
+    return chai.request(app)
+      .get(`/posts/${post.id}`)
+      .query(format ? {format} : {});
+  }
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return Author
+      .create({
+        firstName: faker.name.firstName(),
+        lastName: faker.name.lastName(),
+        username: faker.internet.userName()
+      })
+      .then(function(author) {
+        return BlogPost.create({
+          author: author._id,
+          title: 'Markdown',
+          content: MARKDOWN,
+          status: 'published'
+        });
+      })
+      .then(function(_post) {
+        post = _post;
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  it('should return the Markdown source by default', function() {
+    return getPost()
+      .then(function(res) {
+        res.should.have.status(200);
+        res.body.content.should.equal(MARKDOWN);
+        should.not.exist(res.body.contentHtml);
+      });
+  });
+
+  it('should render sanitized HTML', function() {
+    return getPost('html')
+      .then(function(res) {
+        res.should.have.status(200);
+        should.not.exist(res.body.content);
+        const html = res.body.contentHtml;
+        html.should.contain('<h1>Getting started</h1>');
+        html.should.contain('<strong>bold</strong>');
+        html.should.contain('<a href="https://example.com">a link</a>');
+        html.should.contain('<img src="https://example.com/a.png" />');
+        html.should.not.contain('<script');
+        html.should.not.contain('javascript:');
+        html.should.not.contain('onerror');
+      });
+  });
+
+  it('should return both when asked', function() {
+    return getPost('both')
+      .then(function(res) {
+        res.should.have.status(200);
+        res.body.content.should.equal(MARKDOWN);
+        res.body.contentHtml.should.contain('<h1>');
+      });
+  });
+
+  it('should store an excerpt and reading time', function() {
+    post.excerpt.should.equal(
+      'Getting started Some bold advice and a link. click me');
+    post.readingTime.should.equal(1);
+  });
+
+  it('should update the excerpt when the content changes', function() {
+    const content = faker.lorem.words(450);
+    return createUserWithToken({role: 'editor'})
+      .then(function(editor) {
+        return chai.request(app)
+          .patch(`/posts/${post.id}`)
+          .set('Authorization', bearer(editor.token))
+          .type('application/merge-patch+json')
+          .send({content});
+      })
+      .then(function() {
+        return BlogPost.findById(post._id);
+      })
+      .then(function(updated) {
+        updated.readingTime.should.equal(3);
+        updated.excerpt.length.should.be.at.most(201);
+        content.should.contain(updated.excerpt.replace(/…$/, ''));
+      });
+  });
+
+  it('should keep markup in code out of the excerpt', function() {
+    post.content = 'Avoid `<script>alert(1)</script>` & friends.\n\n    <script src="x.js">';
+    return post.save()
+      .then(function(saved) {
+        saved.excerpt.should.equal(
+          'Avoid &lt;script&gt;alert(1)&lt;/script&gt; &amp; friends. &lt;script src="x.js"&gt;');
+        saved.excerpt.should.not.contain('<');
+      });
+  });
+
+  it('should backfill the excerpts of older posts', function() {
+    return BlogPost.collection
+      .update({_id: post._id}, {
+        $set: {excerpt: '<script>alert(1)</script>'},
+        $unset: {readingTime: ''}
+      })
+      .then(function() {
+        return backfillExcerpts();
+      })
+      .then(function(count) {
+        count.should.equal(1);
+        return BlogPost.findById(post._id);
+      })
+      .then(function(backfilled) {
+        backfilled.excerpt.should.equal(post.excerpt);
+        backfilled.readingTime.should.equal(1);
+        return backfillExcerpts();
+      })
+      .then(function(count) {
+        count.should.equal(0);
+      });
+  });
+});
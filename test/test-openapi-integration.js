@@ -0,0 +1,154 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {listRoutes} = require('../apiRouter');
+const {openapiPath} = require('../openapi');
+const {settle} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+// every operation of an OpenAPI document as `METHOD /path`, in the
+// document's own notation
+function specOperations(spec) {
+  const operations = [];
+  Object.keys(spec.paths).forEach(path => {
+    Object.keys(spec.paths[path]).forEach(method => {
+      operations.push(`${method.toUpperCase()} ${path}`);
+    });
+  });
+  return operations;
+}
+
+describe('API contract', function() {
+  let spec;
+
+  before(function() {
+    return runServer()
+      .then(function() {
+        return chai.request(app).get('/api/v1/openapi.json');
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        spec = res.body;
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  // a route added without a schema in schemas.js, or a schema left behind
+  // by a route that's gone, fails here
+  it('should describe every route and nothing else', function() {
+    const routes = listRoutes()
+      .filter(name => !name.startsWith('ALL '))
+      .map(name => {
+        const [method, path] = name.split(' ');
+        return `${method} ${openapiPath(path)}`;
+      });
+
+    routes.filter((route, i) => routes.indexOf(route) !== i)
+      .should.deep.equal([], 'routes registered twice');
+    routes.should.have.members(specOperations(spec));
+  });
+
+  it('should declare every path parameter', function() {
+    Object.keys(spec.paths).forEach(path => {
+      const names = (path.match(/\{\w+\}/g) || []).map(param => param.slice(1, -1));
+      Object.keys(spec.paths[path]).forEach(method => {
+        spec.paths[path][method].parameters
+          .filter(param => param.in === 'path')
+          .map(param => param.name)
+          .should.have.members(names, `${method.toUpperCase()} ${path}`);
+      });
+    });
+  });
+
+  it('should be an OpenAPI 3.1 document for /api/v1', function() {
+    spec.openapi.should.equal('3.1.0');
+    spec.servers.should.deep.equal([{url: '/api/v1'}]);
+    spec.paths['/posts/{id}'].get.parameters[0].schema.pattern.should.equal('^[0-9a-fA-F]{24}$');
+    spec.paths['/posts'].post.requestBody.content['application/json'].schema.required
+      .should.deep.equal(['title', 'content', 'authorId']);
+  });
+
+  it('should serve interactive docs', function() {
+    return chai.request(app)
+      .get('/api/v1/docs')
+      .then(function(res) {
+        res.should.have.status(200);
+        res.should.be.html;
+        res.text.should.contain('/api/v1/openapi.json');
+      });
+  });
+
+  describe('versioning', function() {
+    it('should serve the API under /api/v1', function() {
+      return chai.request(app)
+        .get('/api/v1/posts')
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.should.include.keys('posts', 'nextCursor', 'totalCount');
+          should.not.exist(res.headers.deprecation);
+        });
+    });
+
+    it('should mark the unversioned paths as deprecated', function() {
+      return chai.request(app)
+        .get('/posts')
+        .query({limit: 5})
+        .then(function(res) {
+          res.should.have.status(200);
+          res.headers.deprecation.should.match(/^@\d+$/);
+          res.headers.link.should.equal('</api/v1/posts>; rel="successor-version"');
+        });
+    });
+
+    it('should keep redirects within the version asked for', function() {
+      return Author
+        .create({
+          firstName: faker.name.firstName(),
+          lastName: faker.name.lastName(),
+          username: faker.internet.userName()
+        })
+        .then(function(author) {
+          return BlogPost.create({
+            author: author._id,
+            title: 'Old title',
+            content: faker.lorem.paragraph(),
+            status: 'published'
+          });
+        })
+        .then(function(post) {
+          post.title = 'New title';
+          return post.save();
+        })
+        .then(function() {
+          return settle(chai.request(app)
+            .get('/api/v1/posts/by-slug/old-title')
+            .redirects(0));
+        })
+        .then(function(res) {
+          res.should.have.status(301);
+          res.headers.location.should.equal('/api/v1/posts/by-slug/new-title');
+        });
+    });
+  });
+});
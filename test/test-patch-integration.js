@@ -0,0 +1,170 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost, Category} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+describe('Updating posts', function() {
+  let token;
+  let author;
+  let category;
+  let post;
+
+  function patch(type, body) {
+    return settle(chai.request(app)
+      .patch(`/posts/${post.id}`)
+      .set('Authorization', bearer(token))
+      .type(type)
+      .send(body));
+  }
+
+  function put(body) {
+    return settle(chai.request(app)
+      .put(`/posts/${post.id}`)
+      .set('Authorization', bearer(token))
+      .send(body));
+  }
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return createUserWithToken({role: 'editor'})
+      .then(function(created) {
+        token = created.token;
+        return Promise.all([
+          Author.create({
+            firstName: faker.name.firstName(),
+            lastName: faker.name.lastName(),
+            username: faker.internet.userName()
+          }),
+          Category.create({name: 'Guides'})
+        ]);
+      })
+      .then(function([_author, _category]) {
+        author = _author;
+        category = _category;
+        return BlogPost.create({
+          author: author._id,
+          title: 'Original title',
+          content: 'Original content',
+          tags: ['one', 'two'],
+          category: category._id
+        });
+      })
+      .then(function(_post) {
+        post = _post;
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  describe('PATCH with a merge patch', function() {
+    it('should change only the fields given and return the post', function() {
+      return patch('application/merge-patch+json', {title: 'New title', categoryId: null})
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.id.should.equal(post.id);
+          res.body.title.should.equal('New title');
+          res.body.content.should.equal('Original content');
+          res.body.tags.should.deep.equal(['one', 'two']);
+          should.not.exist(res.body.categoryId);
+          should.exist(res.headers.etag);
+        });
+    });
+
+    it('should refuse a patch that leaves the post invalid', function() {
+      return patch('application/merge-patch+json', {title: null, unknown: 1})
+        .then(function(res) {
+          res.should.have.status(400);
+          res.body.errors.map(error => error.field).should.have.members(['title', 'unknown']);
+          return BlogPost.findById(post._id);
+        })
+        .then(function(found) {
+          found.title.should.equal('Original title');
+        });
+    });
+  });
+
+  describe('PATCH with a JSON Patch', function() {
+    it('should apply the operations', function() {
+      return patch('application/json-patch+json', [
+        {op: 'test', path: '/title', value: 'Original title'},
+        {op: 'add', path: '/tags/-', value: 'Three'},
+        {op: 'replace', path: '/content', value: 'Patched content'}
+      ])
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.tags.should.deep.equal(['one', 'two', 'three']);
+          res.body.content.should.equal('Patched content');
+        });
+    });
+
+    it('should answer 409 when a test operation fails', function() {
+      return patch('application/json-patch+json', [
+        {op: 'test', path: '/title', value: 'Somebody else\'s title'},
+        {op: 'replace', path: '/title', value: 'Mine'}
+      ])
+        .then(function(res) {
+          res.should.have.status(409);
+          res.body.operation.should.equal(0);
+        });
+    });
+
+    it('should refuse invalid operations', function() {
+      return patch('application/json-patch+json', [{op: 'remove', path: '/nothing'}])
+        .then(function(res) {
+          res.should.have.status(400);
+        });
+    });
+  });
+
+  it('should refuse patches of other content types', function() {
+    return patch('application/json', {title: 'Plain JSON'})
+      .then(function(res) {
+        res.should.have.status(415);
+      });
+  });
+
+  describe('PUT', function() {
+    it('should replace the post and return it', function() {
+      return put({title: 'Replaced', content: 'Replaced content', authorId: author.id})
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.title.should.equal('Replaced');
+          // left out, so cleared
+          res.body.tags.should.deep.equal([]);
+          should.not.exist(res.body.categoryId);
+        });
+    });
+
+    it('should require every field of the post', function() {
+      return put({title: 'Only a title'})
+        .then(function(res) {
+          res.should.have.status(400);
+          res.body.errors.map(error => error.field).should.have.members(['content', 'authorId']);
+        });
+    });
+  });
+});
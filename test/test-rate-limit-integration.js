@@ -0,0 +1,206 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {RATE_LIMITS, TRUST_PROXY} = require('../config');
+const {Author} = require('../models');
+const {getStore} = require('../rateLimit');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+function repeat(times, makeRequest) {
+  let chain = Promise.resolve();
+  for (let i = 0; i < times; i++) {
+    chain = chain.then(() => settle(makeRequest()));
+  }
+  return chain;
+}
+
+describe('Rate limiting', function() {
+  const defaults = {
+    write: RATE_LIMITS.write.max,
+    login: RATE_LIMITS.routes['POST /auth/login'].max,
+    posts: RATE_LIMITS.routes['POST /posts'].max
+  };
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    RATE_LIMITS.write.max = 3;
+    RATE_LIMITS.routes['POST /auth/login'].max = 2;
+    return getStore().reset();
+  });
+
+  afterEach(function() {
+    RATE_LIMITS.write.max = defaults.write;
+    RATE_LIMITS.routes['POST /auth/login'].max = defaults.login;
+    RATE_LIMITS.routes['POST /posts'].max = defaults.posts;
+    app.set('trust proxy', TRUST_PROXY);
+    // later test files start with a clean slate
+    return getStore().reset().then(tearDownDb);
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  it('should describe the budget in the response headers', function() {
+    return chai.request(app)
+      .get('/posts')
+      .then(function(res) {
+        res.should.have.status(200);
+        res.headers['x-ratelimit-limit'].should.equal(String(RATE_LIMITS.read.max));
+        res.headers['x-ratelimit-remaining'].should.equal(String(RATE_LIMITS.read.max - 1));
+        Number(res.headers['x-ratelimit-reset']).should.be.above(Date.now() / 1000);
+      });
+  });
+
+  it('should answer 429 once the write budget is used up', function() {
+    return repeat(4, () => chai.request(app).post('/posts').send({}))
+      .then(function(res) {
+        res.should.have.status(429);
+        res.headers['x-ratelimit-remaining'].should.equal('0');
+        Number(res.headers['retry-after']).should.be.within(1, 60);
+        res.body.retryAfter.should.equal(Number(res.headers['retry-after']));
+        return chai.request(app).get('/posts');
+      })
+      .then(function(res) {
+        // reads have a budget of their own
+        res.should.have.status(200);
+      });
+  });
+
+  it('should count each user separately', function() {
+    let first;
+    let second;
+    return Promise.all([createUserWithToken(), createUserWithToken()])
+      .then(function([_first, _second]) {
+        first = _first;
+        second = _second;
+        return repeat(4, () => chai.request(app)
+          .post('/auth/refresh')
+          .set('Authorization', bearer(first.token)));
+      })
+      .then(function(res) {
+        res.should.have.status(429);
+        return settle(chai.request(app)
+          .post('/auth/refresh')
+          .set('Authorization', bearer(second.token)));
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        // anonymous requests from the same address aren't held back either
+        return settle(chai.request(app).post('/auth/login').send({}));
+      })
+      .then(function(res) {
+        res.should.have.status(400);
+      });
+  });
+
+  it('should tell anonymous clients apart behind a trusted proxy', function() {
+    const forwardedFor = address => () => chai.request(app)
+      .post('/posts')
+      .set('X-Forwarded-For', address)
+      .send({});
+    app.set('trust proxy', 1);
+    return repeat(4, forwardedFor('203.0.113.1'))
+      .then(function(res) {
+        res.should.have.status(429);
+        return settle(forwardedFor('203.0.113.2')());
+      })
+      .then(function(res) {
+        res.should.have.status(401);
+      });
+  });
+
+  it('should apply the budgets of single routes', function() {
+    RATE_LIMITS.write.max = 10;
+    return repeat(3, () => chai.request(app).post('/auth/login').send({}))
+      .then(function(res) {
+        res.should.have.status(429);
+        res.headers['x-ratelimit-limit'].should.equal('2');
+        should.exist(res.headers['retry-after']);
+        return settle(chai.request(app).post('/auth/register').send({}));
+      })
+      .then(function(res) {
+        res.should.have.status(400);
+      });
+  });
+
+  it('should charge GraphQL queries to the read budget', function() {
+    const query = () => chai.request(app).post('/graphql').send({query: '{ authors { id } }'});
+    return repeat(4, query)
+      .then(function(res) {
+        res.should.have.status(200);
+        res.headers['x-ratelimit-limit'].should.equal(String(RATE_LIMITS.read.max));
+        return repeat(4, () => chai.request(app)
+          .post('/graphql')
+          .send({query: 'mutation { deletePost(id: "nope") }'}));
+      })
+      .then(function(res) {
+        res.should.have.status(429);
+      });
+  });
+
+  it('should apply the budget of POST /posts to posts created over GraphQL', function() {
+    RATE_LIMITS.routes['POST /posts'].max = 1;
+    let token;
+    let input;
+
+    function createOverGraphql() {
+      return settle(chai.request(app)
+        .post('/graphql')
+        .set('Authorization', bearer(token))
+        .send({
+          query: 'mutation($input: CreatePostInput!) { createPost(input: $input) { id } }',
+          variables: {input}
+        }));
+    }
+
+    return Promise
+      .all([
+        createUserWithToken(),
+        Author.create({
+          firstName: faker.name.firstName(),
+          lastName: faker.name.lastName(),
+          username: faker.internet.userName()
+        })
+      ])
+      .then(function([user, author]) {
+        token = user.token;
+        input = {title: 'Over GraphQL', content: 'hi', authorId: author.id};
+        return createOverGraphql();
+      })
+      .then(function(res) {
+        should.exist(res.body.data.createPost);
+        return createOverGraphql();
+      })
+      .then(function(res) {
+        should.equal(res.body.data, null);
+        res.body.errors[0].extensions.status.should.equal(429);
+        should.exist(res.body.errors[0].extensions.retryAfter);
+        // and the REST route shares the budget
+        return settle(chai.request(app)
+          .post('/posts')
+          .set('Authorization', bearer(token))
+          .send(input));
+      })
+      .then(function(res) {
+        res.should.have.status(429);
+      });
+  });
+});
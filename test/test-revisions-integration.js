@@ -0,0 +1,269 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost, Revision} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+describe('Post revisions', function() {
+  let token;
+  let author;
+
+  // creates a post through the API, so it starts out with revision 1
+  function createPost() {
+    return chai.request(app)
+      .post('/posts')
+      .set('Authorization', bearer(token))
+      .send({title: 'First title', content: 'line one\nline two', authorId: author.id})
+      .then(res => res.body);
+  }
+
+  function updatePost(id, changes) {
+    return chai.request(app)
+      .patch(`/posts/${id}`)
+      .set('Authorization', bearer(token))
+      .type('application/merge-patch+json')
+      .send(changes);
+  }
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return createUserWithToken()
+      .then(function(created) {
+        token = created.token;
+        return Author.create({
+          firstName: faker.name.firstName(),
+          lastName: faker.name.lastName(),
+          username: faker.internet.userName()
+        });
+      })
+      .then(function(_author) {
+        author = _author;
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  it('should store a revision for every update', function() {
+    let post;
+    return createPost()
+      .then(function(_post) {
+        post = _post;
+        return updatePost(post.id, {title: 'Second title'});
+      })
+      .then(function() {
+        return updatePost(post.id, {content: 'line one\nline 2'});
+      })
+      .then(function() {
+        return chai.request(app)
+          .get(`/posts/${post.id}/revisions`)
+          .set('Authorization', bearer(token));
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        res.body.map(revision => revision.number).should.deep.equal([3, 2, 1]);
+        res.body[0].changedFields.should.deep.equal(['content']);
+        res.body[1].changedFields.should.deep.equal(['title']);
+        res.body[1].title.should.equal('Second title');
+        should.exist(res.body[0].editorId);
+      });
+  });
+
+  it('should number the revisions of concurrent updates apart', function() {
+    let post;
+    // the unique index is what keeps the numbers apart, and dropping the
+    // database after the last test dropped it too
+    return Revision.ensureIndexes()
+      .then(function() {
+        return createPost();
+      })
+      .then(function(_post) {
+        post = _post;
+        return Promise.all([
+          updatePost(post.id, {title: 'Second title'}),
+          updatePost(post.id, {content: 'line one\nline 2'}),
+          updatePost(post.id, {tags: ['concurrent']})
+        ]);
+      })
+      .then(function(responses) {
+        responses.forEach(res => res.should.have.status(200));
+        return Revision.find({post: post.id}).sort({number: 1});
+      })
+      .then(function(revisions) {
+        revisions.map(revision => revision.number).should.deep.equal([1, 2, 3, 4]);
+      });
+  });
+
+  it('should not store a revision when nothing changed', function() {
+    let post;
+    return createPost()
+      .then(function(_post) {
+        post = _post;
+        return updatePost(post.id, {title: post.title});
+      })
+      .then(function() {
+        return Revision.count({post: post.id});
+      })
+      .then(function(count) {
+        count.should.equal(1);
+      });
+  });
+
+  it('should diff two revisions', function() {
+    let post;
+    return createPost()
+      .then(function(_post) {
+        post = _post;
+        return updatePost(post.id, {content: 'line one\nline 2'});
+      })
+      .then(function() {
+        return chai.request(app)
+          .get(`/posts/${post.id}/revisions/diff`)
+          .query({from: 1, to: 2})
+          .set('Authorization', bearer(token));
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        res.body.changes.should.have.all.keys('content');
+        res.body.changes.content.lines.should.deep.equal([
+          {op: ' ', line: 'line one'},
+          {op: '-', line: 'line two'},
+          {op: '+', line: 'line 2'}
+        ]);
+      });
+  });
+
+  it('should diff posts too long to compare line by line, and quickly', function() {
+    // 16000 short lines each, nearly the longest content a post may have
+    function lines(prefix) {
+      const result = [];
+      for (let i = 0; i < 16000; i++) {
+        result.push(`${prefix}${i % 10}`);
+      }
+      return result;
+    }
+
+    let post;
+    return createPost()
+      .then(function(_post) {
+        post = _post;
+        return updatePost(post.id, {content: lines('a').join('\n')});
+      })
+      .then(function() {
+        return updatePost(post.id, {content: lines('b').join('\n')});
+      })
+      .then(function() {
+        return chai.request(app)
+          .get(`/posts/${post.id}/revisions/diff`)
+          .query({from: 2, to: 3})
+          .set('Authorization', bearer(token));
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        const diff = res.body.changes.content.lines;
+        diff.should.have.lengthOf(32000);
+        diff.filter(line => line.op === '-').map(line => line.line)
+          .should.deep.equal(lines('a'));
+        diff.filter(line => line.op === '+').map(line => line.line)
+          .should.deep.equal(lines('b'));
+      });
+  });
+
+  it('should restore an earlier revision as a new one', function() {
+    let post;
+    return createPost()
+      .then(function(_post) {
+        post = _post;
+        return updatePost(post.id, {title: 'Regrettable title'});
+      })
+      .then(function() {
+        return chai.request(app)
+          .post(`/posts/${post.id}/revisions/1/restore`)
+          .set('Authorization', bearer(token));
+      })
+      .then(function(res) {
+        res.should.have.status(200);
+        res.body.title.should.equal('First title');
+        return Revision.findOne({post: post.id}).sort({number: -1});
+      })
+      .then(function(revision) {
+        revision.number.should.equal(3);
+        revision.restoredFrom.should.equal(1);
+        revision.title.should.equal('First title');
+      });
+  });
+
+  it('should keep the state of posts from before revision history', function() {
+    let post;
+    return BlogPost
+      .create({author: author._id, title: 'Legacy', content: 'old', owner: null})
+      .then(function(_post) {
+        post = _post;
+        return createUserWithToken({role: 'editor'});
+      })
+      .then(function(editor) {
+        return chai.request(app)
+          .patch(`/posts/${post.id}`)
+          .set('Authorization', bearer(editor.token))
+          .type('application/merge-patch+json')
+          .send({content: 'new'});
+      })
+      .then(function() {
+        return Revision.find({post: post.id}).sort({number: 1});
+      })
+      .then(function(revisions) {
+        revisions.map(revision => revision.content).should.deep.equal(['old', 'new']);
+      });
+  });
+
+  it('should only show revision history to people who may edit the post', function() {
+    let post;
+    return createPost()
+      .then(function(_post) {
+        post = _post;
+        return createUserWithToken();
+      })
+      .then(function(stranger) {
+        return settle(chai.request(app)
+          .get(`/posts/${post.id}/revisions`)
+          .set('Authorization', bearer(stranger.token)));
+      })
+      .then(function(res) {
+        res.should.have.status(403);
+      });
+  });
+
+  it('should refuse to change a stored revision', function() {
+    return createPost()
+      .then(function(post) {
+        return Revision.update({post: post.id}, {$set: {title: 'tampered'}});
+      })
+      .then(function() {
+        throw new Error('the update should have been refused');
+      }, function(err) {
+        err.message.should.equal('Revisions are immutable');
+      });
+  });
+});
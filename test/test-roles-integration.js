@@ -0,0 +1,201 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost, User} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {makeAdmin} = require('../cli');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+// one user per role plus a post owned by the author
+function seedRoleData() {
+  const seeded = {};
+  return Promise
+    .all(['admin', 'editor', 'author', 'reader'].map(role => createUserWithToken({role})))
+    .then(([admin, editor, author, reader]) => {
+      Object.assign(seeded, {admin, editor, author, reader});
+      return Author.create({
+        firstName: faker.name.firstName(),
+        lastName: faker.name.lastName(),
+        username: faker.internet.userName()
+      });
+    })
+    .then(byline => BlogPost.create({
+      author: byline._id,
+      owner: seeded.author.user._id,
+      title: faker.lorem.sentence(),
+      content: faker.lorem.paragraph()
+    }))
+    .then(post => {
+      seeded.post = post;
+      return seeded;
+    });
+}
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+describe('Role-based authorization', function() {
+  let seeded;
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return seedRoleData().then(_seeded => {
+      seeded = _seeded;
+    });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  describe('posts', function() {
+
+    it('should not let readers create posts', function() {
+      return settle(chai.request(app)
+        .post('/posts')
+        .set('Authorization', bearer(seeded.reader.token))
+        .send({title: 'nope', content: 'nope', authorId: seeded.post.author}))
+        .then(function(res) {
+          res.should.have.status(403);
+          res.body.missingPermission.should.equal('posts:create');
+          res.body.role.should.equal('reader');
+          res.body.error.should.be.a('string');
+        });
+    });
+
+    it('should let editors update any post', function() {
+      return chai.request(app)
+        .patch(`/posts/${seeded.post.id}`)
+        .set('Authorization', bearer(seeded.editor.token))
+        .type('application/merge-patch+json')
+        .send({title: 'Edited by an editor'})
+        .then(function(res) {
+          res.should.have.status(200);
+          return BlogPost.findById(seeded.post.id);
+        })
+        .then(function(post) {
+          post.title.should.equal('Edited by an editor');
+        });
+    });
+
+    it('should not let editors delete posts they do not own', function() {
+      return settle(chai.request(app)
+        .delete(`/posts/${seeded.post.id}`)
+        .set('Authorization', bearer(seeded.editor.token)))
+        .then(function(res) {
+          res.should.have.status(403);
+          res.body.missingPermission.should.equal('posts:delete:any');
+        });
+    });
+
+    it('should let admins delete any post', function() {
+      return chai.request(app)
+        .delete(`/posts/${seeded.post.id}`)
+        .set('Authorization', bearer(seeded.admin.token))
+        .then(function(res) {
+          res.should.have.status(204);
+          return BlogPost.findById(seeded.post.id);
+        })
+        .then(function(post) {
+          should.exist(post.deletedAt);
+        });
+    });
+  });
+
+  describe('users', function() {
+
+    it('should let admins change a role', function() {
+      return chai.request(app)
+        .put(`/users/${seeded.reader.user.id}/role`)
+        .set('Authorization', bearer(seeded.admin.token))
+        .send({role: 'editor'})
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.role.should.equal('editor');
+          return User.findById(seeded.reader.user.id);
+        })
+        .then(function(user) {
+          user.role.should.equal('editor');
+        });
+    });
+
+    it('should not let admins change their own role', function() {
+      return settle(chai.request(app)
+        .put(`/users/${seeded.admin.user.id}/role`)
+        .set('Authorization', bearer(seeded.admin.token))
+        .send({role: 'editor'}))
+        .then(function(res) {
+          res.should.have.status(400);
+          return User.findById(seeded.admin.user.id);
+        })
+        .then(function(user) {
+          user.role.should.equal('admin');
+        });
+    });
+
+    it('should keep an admin when admins demote each other', function() {
+      let other;
+      return createUserWithToken({role: 'admin'})
+        .then(function(_other) {
+          other = _other;
+          return Promise.all([
+            settle(chai.request(app)
+              .put(`/users/${other.user.id}/role`)
+              .set('Authorization', bearer(seeded.admin.token))
+              .send({role: 'reader'})),
+            settle(chai.request(app)
+              .put(`/users/${seeded.admin.user.id}/role`)
+              .set('Authorization', bearer(other.token))
+              .send({role: 'reader'}))
+          ]);
+        })
+        .then(function(responses) {
+          responses.map(res => res.status).should.not.deep.equal([200, 200]);
+          return User.count({role: 'admin'});
+        })
+        .then(function(admins) {
+          admins.should.be.at.least(1);
+        });
+    });
+
+    it('should make the first admin from the command line', function() {
+      return makeAdmin(seeded.reader.user.username)
+        .then(function(user) {
+          user.role.should.equal('admin');
+          return makeAdmin('nobody-by-that-name');
+        })
+        .then(function() {
+          throw new Error('a missing user should have been refused');
+        }, function(err) {
+          err.message.should.equal('No user `nobody-by-that-name`');
+        });
+    });
+
+    it('should keep everyone else out of user management', function() {
+      return settle(chai.request(app)
+        .get('/users')
+        .set('Authorization', bearer(seeded.editor.token)))
+        .then(function(res) {
+          res.should.have.status(403);
+          res.body.missingPermission.should.equal('users:manage');
+        });
+    });
+  });
+});
@@ -0,0 +1,188 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+describe('Post slugs', function() {
+  let token;
+  let author;
+
+  function createPost(title, fields) {
+    return BlogPost.create(Object.assign({
+      author: author._id,
+      title,
+      content: faker.lorem.paragraph(),
+      status: 'published'
+    }, fields));
+  }
+
+  function retitle(post, title) {
+    return chai.request(app)
+      .patch(`/posts/${post.id}`)
+      .set('Authorization', bearer(token))
+      .type('application/merge-patch+json')
+      .send({title});
+  }
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return createUserWithToken({role: 'editor'})
+      .then(function(created) {
+        token = created.token;
+        return Author.create({
+          firstName: faker.name.firstName(),
+          lastName: faker.name.lastName(),
+          username: faker.internet.userName()
+        });
+      })
+      .then(function(_author) {
+        author = _author;
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  it('should derive the slug from the title', function() {
+    return chai.request(app)
+      .post('/posts')
+      .set('Authorization', bearer(token))
+      .send({title: 'Hello, World!', content: 'hi', authorId: author.id})
+      .then(function(res) {
+        res.should.have.status(201);
+        res.body.slug.should.equal('hello-world');
+      });
+  });
+
+  it('should add a suffix when the slug is taken', function() {
+    return createPost('Hello world')
+      .then(function() {
+        return createPost('Hello, world');
+      })
+      .then(function(post) {
+        post.slug.should.equal('hello-world-2');
+        return createPost('Hello world!');
+      })
+      .then(function(post) {
+        post.slug.should.equal('hello-world-3');
+      });
+  });
+
+  it('should give posts created at the same time slugs of their own', function() {
+    function post() {
+      return chai.request(app)
+        .post('/posts')
+        .set('Authorization', bearer(token))
+        .send({title: 'Breaking news', content: 'hi', authorId: author.id});
+    }
+
+    // the unique index is what turns the second slug away, and dropping
+    // the database after the last test dropped it too
+    return BlogPost.ensureIndexes()
+      .then(function() {
+        return Promise.all([post(), post(), post()]);
+      })
+      .then(function(responses) {
+        responses.forEach(res => res.should.have.status(201));
+        responses.map(res => res.body.slug)
+          .should.have.members(['breaking-news', 'breaking-news-2', 'breaking-news-3']);
+      });
+  });
+
+  it('should find a post by its slug', function() {
+    return createPost('Release notes')
+      .then(function(post) {
+        return chai.request(app).get('/posts/by-slug/release-notes')
+          .then(function(res) {
+            res.should.have.status(200);
+            res.body.id.should.equal(post.id);
+          });
+      });
+  });
+
+  it('should point old slugs at the current one', function() {
+    let post;
+    return createPost('First draft of a title')
+      .then(function(_post) {
+        post = _post;
+        return retitle(post, 'A better title');
+      })
+      .then(function() {
+        return settle(chai.request(app)
+          .get('/posts/by-slug/first-draft-of-a-title')
+          .redirects(0));
+      })
+      .then(function(res) {
+        res.should.have.status(301);
+        res.headers.location.should.equal('/posts/by-slug/a-better-title');
+        res.body.slug.should.equal('a-better-title');
+        res.body.id.should.equal(post.id);
+      });
+  });
+
+  it('should not hand out a slug another post used before', function() {
+    return createPost('Original title')
+      .then(function(post) {
+        return retitle(post, 'Changed title');
+      })
+      .then(function() {
+        return createPost('Original title');
+      })
+      .then(function(post) {
+        post.slug.should.equal('original-title-2');
+      });
+  });
+
+  it('should take a slug back when a post gets its old title again', function() {
+    let post;
+    return createPost('Back and forth')
+      .then(function(_post) {
+        post = _post;
+        return retitle(post, 'Forth and back');
+      })
+      .then(function() {
+        return retitle(post, 'Back and forth');
+      })
+      .then(function() {
+        return BlogPost.findById(post._id);
+      })
+      .then(function(found) {
+        found.slug.should.equal('back-and-forth');
+        found.slugHistory.should.deep.equal(['forth-and-back']);
+      });
+  });
+
+  it('should not reveal drafts by slug', function() {
+    return createPost('Not yet', {status: 'draft'})
+      .then(function() {
+        return settle(chai.request(app).get('/posts/by-slug/not-yet'));
+      })
+      .then(function(res) {
+        res.should.have.status(404);
+        should.not.exist(res.body.slug);
+      });
+  });
+});
@@ -0,0 +1,297 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const http = require('http');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {PORT} = require('../config');
+const {Author, BlogPost} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {publishDuePosts} = require('../posts');
+const {createUserWithToken, bearer, waitFor} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+// connects to the stream of the running server and resolves once it's
+// connected with `{response, events, ended}`, where `events` fills up
+// with `{id, event, data}` as they come in
+function openStream(path = '/posts/stream', headers = {}) {
+  return new Promise((resolve, reject) => {
+    const request = http.get({port: PORT, path, headers}, response => {
+      const stream = {request, response, events: [], ended: false};
+      let buffered = '';
+      response.setEncoding('utf8');
+      response.on('data', chunk => {
+        buffered += chunk;
+        const blocks = buffered.split('\n\n');
+        buffered = blocks.pop();
+        blocks
+          .filter(block => !block.startsWith(':'))
+          .forEach(block => {
+            const fields = {};
+            block.split('\n').forEach(line => {
+              const at = line.indexOf(': ');
+              fields[line.slice(0, at)] = line.slice(at + 2);
+            });
+            stream.events.push({id: fields.id, event: fields.event, data: JSON.parse(fields.data)});
+          });
+      });
+      response.on('end', () => {
+        stream.ended = true;
+      });
+      resolve(stream);
+    });
+    request.on('error', reject);
+  });
+}
+
+describe('Post stream', function() {
+  let token;
+  let author;
+  let streams;
+
+  function open(path, headers) {
+    return openStream(path, headers).then(stream => {
+      streams.push(stream);
+      return stream;
+    });
+  }
+
+  function createPost(authorId = author.id) {
+    return chai.request(app)
+      .post('/posts')
+      .set('Authorization', bearer(token))
+      .send({title: faker.lorem.sentence(), content: faker.lorem.paragraph(), authorId})
+      .then(res => res.body);
+  }
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    streams = [];
+    return createUserWithToken({role: 'editor'})
+      .then(function(created) {
+        token = created.token;
+        return Author.create({
+          firstName: faker.name.firstName(),
+          lastName: faker.name.lastName(),
+          username: faker.internet.userName()
+        });
+      })
+      .then(function(_author) {
+        author = _author;
+      });
+  });
+
+  afterEach(function() {
+    streams.forEach(stream => stream.request.destroy());
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  it('should push post events as they happen', function() {
+    let stream;
+    let post;
+    return open('/posts/stream', {Authorization: bearer(token)})
+      .then(function(_stream) {
+        stream = _stream;
+        stream.response.statusCode.should.equal(200);
+        stream.response.headers['content-type'].should.contain('text/event-stream');
+        return createPost();
+      })
+      .then(function(_post) {
+        post = _post;
+        return chai.request(app)
+          .patch(`/posts/${post.id}`)
+          .set('Authorization', bearer(token))
+          .type('application/merge-patch+json')
+          .send({title: 'Retitled'});
+      })
+      .then(function() {
+        return chai.request(app)
+          .delete(`/posts/${post.id}`)
+          .set('Authorization', bearer(token));
+      })
+      .then(function() {
+        return waitFor(() => stream.events.length === 3);
+      })
+      .then(function() {
+        stream.events.map(event => event.event)
+          .should.deep.equal(['post.created', 'post.updated', 'post.deleted']);
+        stream.events.forEach(event => event.data.id.should.equal(post.id));
+        stream.events[1].data.title.should.equal('Retitled');
+        should.exist(stream.events[2].data.deletedAt);
+      });
+  });
+
+  it('should only push events for posts the client may read', function() {
+    let anonymous;
+    let signedIn;
+    return Promise.all([open(), open('/posts/stream', {Authorization: bearer(token)})])
+      .then(function([_anonymous, _signedIn]) {
+        anonymous = _anonymous;
+        signedIn = _signedIn;
+        // a draft
+        return createPost();
+      })
+      .then(function() {
+        return waitFor(() => signedIn.events.length === 1);
+      })
+      .then(function() {
+        anonymous.events.should.have.lengthOf(0);
+      });
+  });
+
+  it('should tell anonymous readers when a post is published and unpublished', function() {
+    let anonymous;
+    let post;
+
+    function transition(action) {
+      return chai.request(app)
+        .post(`/posts/${post.id}/${action}`)
+        .set('Authorization', bearer(token))
+        .send({});
+    }
+
+    return open()
+      .then(function(_anonymous) {
+        anonymous = _anonymous;
+        return createPost();
+      })
+      .then(function(_post) {
+        post = _post;
+        return transition('publish');
+      })
+      .then(function() {
+        return waitFor(() => anonymous.events.length === 1);
+      })
+      .then(function() {
+        anonymous.events[0].event.should.equal('post.updated');
+        anonymous.events[0].data.status.should.equal('published');
+        return transition('unpublish');
+      })
+      .then(function() {
+        return waitFor(() => anonymous.events.length === 2);
+      })
+      .then(function() {
+        anonymous.events[1].should.include({event: 'post.deleted'});
+        anonymous.events[1].data.should.deep.equal({id: post.id});
+      });
+  });
+
+  it('should push scheduled posts as they are published', function() {
+    let anonymous;
+    let post;
+    return open()
+      .then(function(_anonymous) {
+        anonymous = _anonymous;
+        return createPost();
+      })
+      .then(function(_post) {
+        post = _post;
+        return BlogPost.update({_id: post.id},
+          {$set: {status: 'scheduled', publishAt: new Date(Date.now() - 1000)}});
+      })
+      .then(function() {
+        return publishDuePosts();
+      })
+      .then(function(count) {
+        count.should.equal(1);
+        return waitFor(() => anonymous.events.length === 1);
+      })
+      .then(function() {
+        anonymous.events[0].data.id.should.equal(post.id);
+        anonymous.events[0].data.status.should.equal('published');
+      });
+  });
+
+  it('should filter events by author', function() {
+    let stream;
+    let otherAuthor;
+    return Author
+      .create({firstName: 'Other', lastName: 'Author', username: faker.internet.userName()})
+      .then(function(_otherAuthor) {
+        otherAuthor = _otherAuthor;
+        return open(`/posts/stream?authorId=${author.id}`, {Authorization: bearer(token)});
+      })
+      .then(function(_stream) {
+        stream = _stream;
+        return createPost(otherAuthor.id);
+      })
+      .then(function() {
+        return createPost();
+      })
+      .then(function() {
+        return waitFor(() => stream.events.length === 1);
+      })
+      .then(function() {
+        stream.events[0].data.authorId.should.equal(author.id);
+      });
+  });
+
+  it('should replay what a reconnecting client missed', function() {
+    let first;
+    let missed;
+    return open('/posts/stream', {Authorization: bearer(token)})
+      .then(function(stream) {
+        return createPost()
+          .then(() => waitFor(() => stream.events.length === 1))
+          .then(() => {
+            first = stream.events[0];
+            stream.request.destroy();
+          });
+      })
+      .then(function() {
+        return Promise.all([createPost(), createPost()]);
+      })
+      .then(function(posts) {
+        missed = posts.map(post => post.id);
+        return open('/posts/stream', {Authorization: bearer(token), 'Last-Event-ID': first.id});
+      })
+      .then(function(stream) {
+        return waitFor(() => stream.events.length === 2)
+          .then(() => {
+            stream.events.map(event => event.data.id).should.have.members(missed);
+          });
+      });
+  });
+
+  it('should tell a client to reload when it missed too much', function() {
+    return open('/posts/stream', {'Last-Event-ID': '123456789'})
+      .then(function(stream) {
+        return waitFor(() => stream.events.length === 1)
+          .then(() => {
+            stream.events[0].event.should.equal('reset');
+          });
+      });
+  });
+
+  it('should end open streams when the server closes', function() {
+    let stream;
+    return open()
+      .then(function(_stream) {
+        stream = _stream;
+        return closeServer();
+      })
+      .then(function() {
+        return waitFor(() => stream.ended);
+      })
+      .then(function() {
+        return runServer();
+      });
+  });
+});
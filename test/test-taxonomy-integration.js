@@ -0,0 +1,237 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author, BlogPost, Category} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+describe('Tags and categories', function() {
+  let author;
+  let editor;
+
+  function createPost(fields) {
+    return BlogPost.create(Object.assign({
+      author: author._id,
+      title: faker.lorem.sentence(),
+      content: faker.lorem.paragraph(),
+      status: 'published'
+    }, fields));
+  }
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return createUserWithToken({role: 'editor'})
+      .then(function(created) {
+        editor = created;
+        return Author.create({
+          firstName: faker.name.firstName(),
+          lastName: faker.name.lastName(),
+          username: faker.internet.userName()
+        });
+      })
+      .then(function(_author) {
+        author = _author;
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  describe('tags', function() {
+
+    it('should store tags as unique slugs', function() {
+      return chai.request(app)
+        .post('/posts')
+        .set('Authorization', bearer(editor.token))
+        .send({
+          title: faker.lorem.sentence(),
+          content: faker.lorem.paragraph(),
+          authorId: author.id,
+          tags: ['Node.js', 'node js', ' Café Culture ']
+        })
+        .then(function(res) {
+          res.should.have.status(201);
+          res.body.tags.should.deep.equal(['node-js', 'cafe-culture']);
+        });
+    });
+
+    it('should filter posts by tag', function() {
+      return Promise
+        .all([
+          createPost({tags: ['mongo', 'express']}),
+          createPost({tags: ['express']}),
+          createPost({tags: ['react']})
+        ])
+        .then(function() {
+          return chai.request(app).get('/posts').query({tag: 'Express'});
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.totalCount.should.equal(2);
+          res.body.posts.forEach(post => post.tags.should.include('express'));
+        });
+    });
+
+    it('should count tag usage on the posts a reader can see', function() {
+      return Promise
+        .all([
+          createPost({tags: ['mongo', 'express']}),
+          createPost({tags: ['express']}),
+          createPost({tags: ['express', 'secret'], status: 'draft'})
+        ])
+        .then(function() {
+          return chai.request(app).get('/tags');
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.should.deep.equal([
+            {tag: 'express', count: 2},
+            {tag: 'mongo', count: 1}
+          ]);
+        });
+    });
+
+    it('should rename a tag on every post', function() {
+      let both;
+      return Promise
+        .all([
+          createPost({tags: ['js']}),
+          createPost({tags: ['js', 'javascript']})
+        ])
+        .then(function(posts) {
+          both = posts[1];
+          return chai.request(app)
+            .put('/tags/js')
+            .set('Authorization', bearer(editor.token))
+            .send({name: 'JavaScript'});
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.should.deep.equal({from: 'js', to: 'javascript', postCount: 2});
+          return Promise.all([
+            BlogPost.count({tags: 'js'}),
+            BlogPost.count({tags: 'javascript'}),
+            BlogPost.findById(both._id)
+          ]);
+        })
+        .then(function([oldCount, newCount, post]) {
+          oldCount.should.equal(0);
+          newCount.should.equal(2);
+          post.tags.should.have.lengthOf(1);
+        });
+    });
+
+    it('should only let editors rename tags', function() {
+      return createPost({tags: ['js']})
+        .then(function() {
+          return createUserWithToken();
+        })
+        .then(function(user) {
+          return settle(chai.request(app)
+            .put('/tags/js')
+            .set('Authorization', bearer(user.token))
+            .send({name: 'javascript'}));
+        })
+        .then(function(res) {
+          res.should.have.status(403);
+        });
+    });
+  });
+
+  describe('categories', function() {
+
+    it('should create a category with a slug', function() {
+      return chai.request(app)
+        .post('/categories')
+        .set('Authorization', bearer(editor.token))
+        .send({name: 'Release Notes', description: 'What shipped'})
+        .then(function(res) {
+          res.should.have.status(201);
+          res.body.slug.should.equal('release-notes');
+          return chai.request(app).get(`/categories/${res.body.id}`);
+        })
+        .then(function(res) {
+          res.should.have.status(200);
+          res.body.name.should.equal('Release Notes');
+        });
+    });
+
+    it('should refuse a name that clashes with another category', function() {
+      return Category
+        .create({name: 'Release notes'})
+        .then(function() {
+          return settle(chai.request(app)
+            .post('/categories')
+            .set('Authorization', bearer(editor.token))
+            .send({name: 'release  NOTES'}));
+        })
+        .then(function(res) {
+          res.should.have.status(400);
+        });
+    });
+
+    it('should file a post under a category', function() {
+      let category;
+      return Category
+        .create({name: 'Guides'})
+        .then(function(_category) {
+          category = _category;
+          return createPost({});
+        })
+        .then(function(post) {
+          return chai.request(app)
+            .patch(`/posts/${post.id}`)
+            .set('Authorization', bearer(editor.token))
+            .type('application/merge-patch+json')
+            .send({categoryId: category.id})
+            .then(() => BlogPost.findById(post._id));
+        })
+        .then(function(post) {
+          String(post.category).should.equal(category.id);
+        });
+    });
+
+    it('should not delete a category that still has posts', function() {
+      let category;
+      return Category
+        .create({name: 'Guides'})
+        .then(function(_category) {
+          category = _category;
+          return createPost({category: category._id});
+        })
+        .then(function() {
+          return settle(chai.request(app)
+            .delete(`/categories/${category.id}`)
+            .set('Authorization', bearer(editor.token)));
+        })
+        .then(function(res) {
+          res.should.have.status(409);
+          return Category.findById(category._id);
+        })
+        .then(function(found) {
+          should.exist(found);
+        });
+    });
+  });
+});
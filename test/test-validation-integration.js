@@ -0,0 +1,130 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const faker = require('faker');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {Author} = require('../models');
+const {TITLE_MAX_LENGTH} = require('../schemas');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+describe('Request validation', function() {
+  let token;
+  let author;
+
+  function createPost(body) {
+    return settle(chai.request(app)
+      .post('/posts')
+      .set('Authorization', bearer(token))
+      .send(body));
+  }
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    return createUserWithToken()
+      .then(function(created) {
+        token = created.token;
+        return Author.create({
+          firstName: faker.name.firstName(),
+          lastName: faker.name.lastName(),
+          username: faker.internet.userName()
+        });
+      })
+      .then(function(_author) {
+        author = _author;
+      });
+  });
+
+  afterEach(function() {
+    return tearDownDb();
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  it('should reject a malformed id before looking it up', function() {
+    return settle(chai.request(app).get('/posts/not-an-id'))
+      .then(function(res) {
+        res.should.have.status(400);
+        res.should.be.json;
+        res.body.errors.should.deep.equal([
+          {location: 'params', field: 'id', message: 'must be a valid id'}
+        ]);
+      });
+  });
+
+  it('should list every missing field at once', function() {
+    return createPost({})
+      .then(function(res) {
+        res.should.have.status(400);
+        res.body.error.should.equal('Request validation failed');
+        res.body.errors.map(error => error.field)
+          .should.have.members(['title', 'content', 'authorId']);
+      });
+  });
+
+  it('should reject a title that is too long', function() {
+    return createPost({
+      title: 'x'.repeat(TITLE_MAX_LENGTH + 1),
+      content: faker.lorem.paragraph(),
+      authorId: author.id
+    })
+      .then(function(res) {
+        res.should.have.status(400);
+        res.body.errors.should.have.lengthOf(1);
+        res.body.errors[0].field.should.equal('title');
+        res.body.errors[0].location.should.equal('body');
+      });
+  });
+
+  it('should reject fields the route does not know', function() {
+    return createPost({
+      title: faker.lorem.sentence(),
+      content: faker.lorem.paragraph(),
+      authorId: author.id,
+      author: {firstName: 'Not', lastName: 'Here'}
+    })
+      .then(function(res) {
+        res.should.have.status(400);
+        res.body.errors.should.deep.equal([
+          {location: 'body', field: 'author', message: 'is not allowed'}
+        ]);
+      });
+  });
+
+  it('should reject query parameters of the wrong type', function() {
+    return settle(chai.request(app).get('/posts').query({limit: 'lots', sort: 'views'}))
+      .then(function(res) {
+        res.should.have.status(400);
+        res.body.errors.map(error => error.field).should.have.members(['limit', 'sort']);
+        res.body.errors.forEach(error => error.location.should.equal('query'));
+      });
+  });
+
+  it('should still accept a valid request', function() {
+    return createPost({
+      title: faker.lorem.sentence(),
+      content: faker.lorem.paragraph(),
+      authorId: author.id
+    })
+      .then(function(res) {
+        res.should.have.status(201);
+        should.exist(res.body.id);
+      });
+  });
+});
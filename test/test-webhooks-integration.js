@@ -0,0 +1,226 @@
+'use strict';
+
+const chai = require('chai');
+const chaiHttp = require('chai-http');
+const crypto = require('crypto');
+const faker = require('faker');
+const http = require('http');
+const mongoose = require('mongoose');
+
+const should = chai.should();
+
+const {WEBHOOKS} = require('../config');
+const {Author, WebhookDelivery} = require('../models');
+const {app, runServer, closeServer} = require('../server');
+const {settle, createUserWithToken, bearer, waitFor} = require('./helpers');
+
+chai.use(chaiHttp);
+
+
+function tearDownDb() {
+  return mongoose.connection.dropDatabase();
+}
+
+// a stand-in for another system: records every request and answers with
+// the next of `statuses`, then 200 once they run out
+function startReceiver() {
+  const receiver = {requests: [], statuses: []};
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      receiver.requests.push({headers: req.headers, body});
+      res.statusCode = receiver.statuses.shift() || 200;
+      res.end();
+    });
+  });
+  return new Promise(resolve => receiver.server.listen(0, () => {
+    receiver.url = `http://localhost:${receiver.server.address().port}/hooks`;
+    resolve(receiver);
+  }));
+}
+
+describe('Webhooks', function() {
+  const defaults = Object.assign({}, WEBHOOKS);
+  let receiver;
+  let admin;
+  let author;
+
+  function register(events, secret) {
+    return chai.request(app)
+      .post('/webhooks')
+      .set('Authorization', bearer(admin.token))
+      .send({url: receiver.url, events, secret})
+      .then(res => res.body);
+  }
+
+  function createPost() {
+    return chai.request(app)
+      .post('/posts')
+      .set('Authorization', bearer(admin.token))
+      .send({title: faker.lorem.sentence(), content: faker.lorem.paragraph(), authorId: author.id})
+      .then(res => res.body);
+  }
+
+  before(function() {
+    return runServer();
+  });
+
+  beforeEach(function() {
+    WEBHOOKS.retryBaseMs = 50;
+    return startReceiver()
+      .then(function(_receiver) {
+        receiver = _receiver;
+        return createUserWithToken({role: 'admin'});
+      })
+      .then(function(_admin) {
+        admin = _admin;
+        return Author.create({
+          firstName: faker.name.firstName(),
+          lastName: faker.name.lastName(),
+          username: faker.internet.userName()
+        });
+      })
+      .then(function(_author) {
+        author = _author;
+      });
+  });
+
+  afterEach(function() {
+    Object.assign(WEBHOOKS, defaults);
+    return new Promise(resolve => receiver.server.close(resolve))
+      .then(tearDownDb);
+  });
+
+  after(function() {
+    return closeServer();
+  });
+
+  it('should only let admins manage webhooks', function() {
+    return createUserWithToken({role: 'editor'})
+      .then(function(editor) {
+        return settle(chai.request(app)
+          .post('/webhooks')
+          .set('Authorization', bearer(editor.token))
+          .send({url: receiver.url, events: ['post.created']}));
+      })
+      .then(function(res) {
+        res.should.have.status(403);
+      });
+  });
+
+  it('should show the secret only when the webhook is registered', function() {
+    let webhook;
+    return register(['post.created'])
+      .then(function(_webhook) {
+        webhook = _webhook;
+        webhook.secret.should.have.lengthOf(64);
+        webhook.events.should.deep.equal(['post.created']);
+        return chai.request(app)
+          .get(`/webhooks/${webhook.id}`)
+          .set('Authorization', bearer(admin.token));
+      })
+      .then(function(res) {
+        res.body.url.should.equal(receiver.url);
+        should.not.exist(res.body.secret);
+      });
+  });
+
+  it('should deliver signed events for created posts', function() {
+    const secret = 'a-shared-secret-of-some-length';
+    let post;
+    return register(['post.created'], secret)
+      .then(function() {
+        return createPost();
+      })
+      .then(function(_post) {
+        post = _post;
+        return waitFor(() => receiver.requests.length === 1);
+      })
+      .then(function() {
+        const {headers, body} = receiver.requests[0];
+        const expected = crypto.createHmac('sha256', secret).update(body).digest('hex');
+        headers['x-webhook-signature'].should.equal(`sha256=${expected}`);
+        headers['x-webhook-event'].should.equal('post.created');
+        should.exist(headers['x-webhook-delivery']);
+        const payload = JSON.parse(body);
+        payload.event.should.equal('post.created');
+        payload.post.id.should.equal(post.id);
+      });
+  });
+
+  it('should only deliver the events subscribed to', function() {
+    let post;
+    return register(['post.updated', 'post.deleted'])
+      .then(function() {
+        return createPost();
+      })
+      .then(function(_post) {
+        post = _post;
+        return chai.request(app)
+          .patch(`/posts/${post.id}`)
+          .set('Authorization', bearer(admin.token))
+          .type('application/merge-patch+json')
+          .send({title: 'A new title'});
+      })
+      .then(function() {
+        return chai.request(app)
+          .delete(`/posts/${post.id}`)
+          .set('Authorization', bearer(admin.token));
+      })
+      .then(function() {
+        return waitFor(() => receiver.requests.length === 2);
+      })
+      .then(function() {
+        receiver.requests.map(request => request.headers['x-webhook-event'])
+          .should.have.members(['post.updated', 'post.deleted']);
+      });
+  });
+
+  it('should retry failed deliveries and log every attempt', function() {
+    let webhook;
+    receiver.statuses = [500, 503];
+    return register(['post.created'])
+      .then(function(_webhook) {
+        webhook = _webhook;
+        return createPost();
+      })
+      .then(function() {
+        return waitFor(() => WebhookDelivery.findOne({status: 'succeeded'}));
+      })
+      .then(function() {
+        return chai.request(app)
+          .get(`/webhooks/${webhook.id}/deliveries`)
+          .set('Authorization', bearer(admin.token));
+      })
+      .then(function(res) {
+        res.body.should.have.lengthOf(1);
+        const delivery = res.body[0];
+        delivery.status.should.equal('succeeded');
+        delivery.attempts.map(attempt => attempt.responseStatus).should.deep.equal([500, 503, 200]);
+        delivery.attempts[0].error.should.contain('500');
+        // the same delivery every time
+        receiver.requests.should.have.lengthOf(3);
+        new Set(receiver.requests.map(request => request.headers['x-webhook-delivery']))
+          .size.should.equal(1);
+      });
+  });
+
+  it('should give up after the last attempt', function() {
+    WEBHOOKS.maxAttempts = 2;
+    receiver.statuses = [500, 500, 500];
+    return register(['post.created'])
+      .then(function() {
+        return createPost();
+      })
+      .then(function() {
+        return waitFor(() => WebhookDelivery.findOne({status: 'failed'}));
+      })
+      .then(function(delivery) {
+        delivery.attempts.should.have.lengthOf(2);
+        should.not.exist(delivery.nextAttemptAt);
+      });
+  });
+});
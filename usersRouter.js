@@ -0,0 +1,82 @@
+'use strict';
+
+const express = require('express');
+
+const { User } = require('./models');
+const { authorize } = require('./auth');
+const { BadRequestError, ConflictError, NotFoundError } = require('./errors');
+const { validate } = require('./validation');
+
+// user management; accounts themselves are created through
+// `/auth/register`
+const router = express.Router();
+
+router.use(authorize('users:manage'));
+
+router.get('/', validate('GET /users'), (req, res, next) => {
+  User
+    .find()
+    .sort({ username: 1 })
+    .then(users => res.json(users.map(user => user.serialize())))
+    .catch(next);
+});
+
+router.get('/:id', validate('GET /users/:id'), (req, res, next) => {
+  User
+    .findById(req.params.id)
+    .then(user => {
+      if (!user) {
+        throw new NotFoundError('User not found');
+      }
+      res.json(user.serialize());
+    })
+    .catch(next);
+});
+
+router.put('/:id/role', validate('PUT /users/:id/role'), (req, res, next) => {
+  const role = req.body.role;
+  // like deleting their own account, an admin stepping down could leave
+  // nobody able to manage users
+  if (String(req.user._id) === req.params.id && role !== 'admin') {
+    return next(new BadRequestError('You cannot change your own role'));
+  }
+
+  User
+    .findByIdAndUpdate(req.params.id, { $set: { role } })
+    .then(previous => {
+      if (!previous) {
+        throw new NotFoundError('User not found');
+      }
+      if (previous.role !== 'admin' || role === 'admin') {
+        return User.findById(previous._id);
+      }
+      // checked after the change, so that admins demoting each other at
+      // the same time can't both get through: the last of them puts the
+      // role back
+      return User.count({ role: 'admin' }).then(admins => {
+        if (admins > 0) {
+          return User.findById(previous._id);
+        }
+        return User.findByIdAndUpdate(previous._id, { $set: { role: 'admin' } })
+          .then(() => {
+            throw new ConflictError('There has to be at least one admin');
+          });
+      });
+    })
+    .then(user => res.json(user.serialize()))
+    .catch(next);
+});
+
+router.delete('/:id', validate('DELETE /users/:id'), (req, res, next) => {
+  // an admin removing themselves could leave nobody able to manage users
+  if (String(req.user._id) === req.params.id) {
+    return next(new BadRequestError('You cannot delete your own account'));
+  }
+
+  User
+    .findByIdAndRemove(req.params.id)
+    .then(() => res.status(204).end())
+    .catch(next);
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+'use strict';
+
+// request validation against the JSON schemas in schemas.js. a request
+// that doesn't fit is answered with a 400 listing every failing field:
+//
+//   {
+//     "error": "Request validation failed",
+//     "status": 400,
+//     "requestId": "…",
+//     "errors": [{ "location": "body", "field": "title", "message": "is required" }]
+//   }
+
+const Ajv = require('ajv');
+
+const { BadRequestError } = require('./errors');
+const schemas = require('./schemas');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// path parameters and query strings always arrive as strings, so those
+// are coerced to the declared types (and the coerced values are what the
+// route sees); bodies are JSON and have to carry the right types already
+const coercing = new Ajv({ allErrors: true, coerceTypes: true });
+const strict = new Ajv({ allErrors: true });
+
+// a human-readable message for one ajv error
+function describe(error) {
+  const params = error.params;
+  switch (error.keyword) {
+  case 'required':
+    return 'is required';
+  case 'additionalProperties':
+    return 'is not allowed';
+  case 'type':
+    return `must be of type ${params.type}`;
+  case 'enum':
+    return `must be one of: ${params.allowedValues.join(', ')}`;
+  case 'minLength':
+    return params.limit === 1
+      ? 'must not be empty'
+      : `must be at least ${params.limit} characters long`;
+  case 'maxLength':
+    return `must be at most ${params.limit} characters long`;
+  case 'minimum':
+    return `must be at least ${params.limit}`;
+  case 'maximum':
+    return `must be at most ${params.limit}`;
+  case 'format':
+    return `must be a valid ${params.format}`;
+  case 'pattern':
+    return params.pattern === schemas.OBJECT_ID_PATTERN
+      ? 'must be a valid id'
+      : 'is not in a valid format';
+  default:
+    return error.message;
+  }
+}
+
+// the name of the field an ajv error is about; `required` and
+// `additionalProperties` errors are reported on the object holding the
+// field, so the field name comes from the error's params
+function fieldName(error) {
+  const path = error.dataPath.replace(/^\./, '');
+  const child = error.params.missingProperty || error.params.additionalProperty;
+  if (child) {
+    return path ? `${path}.${child}` : child;
+  }
+  return path;
+}
+
+function validationErrors(location, errors) {
+  return errors.map(error => ({
+    location,
+    field: fieldName(error),
+    message: describe(error)
+  }));
+}
+
+// route middleware checking the request against `routes[name]` in schemas.js, e.g.
+// `validate('POST /posts')`. unknown names throw right away, so a typo
+// can't silently leave a route unvalidated.
+function validate(name) {
+  const schema = schemas.routes[name];
+  if (!schema) {
+    throw new Error(`No request schema named \`${name}\``);
+  }
+
+  const validators = LOCATIONS
+    .filter(location => schema[location])
+    .map(location => ({
+      location,
+      check: (location === 'body' ? strict : coercing).compile(schema[location])
+    }));
+
+  return (req, res, next) => {
+    const errors = [];
+    validators.forEach(({ location, check }) => {
+      if (!check(req[location])) {
+        errors.push(...validationErrors(location, check.errors));
+      }
+    });
+
+    if (errors.length > 0) {
+      return next(new BadRequestError('Request validation failed', { errors }));
+    }
+    next();
+  };
+}
+
+// checks a body that only takes shape inside the route (a patched post,
+// say) against the `body` schema of `routes[name]`, throwing the same
+// 400 `validate()` would answer with
+function validateBody(name, body) {
+  const check = strict.compile(schemas.routes[name].body);
+  if (!check(body)) {
+    throw new BadRequestError('Request validation failed', {
+      errors: validationErrors('body', check.errors)
+    });
+  }
+}
+
+module.exports = { validate, validateBody };
@@ -0,0 +1,182 @@
+'use strict';
+
+// delivery of post events to webhooks. every event becomes a
+// WebhookDelivery per subscribed webhook, POSTed as JSON:
+//
+//   { "event": "post.updated", "occurredAt": "…", "post": { … } }
+//
+// with the headers
+//
+//   X-Webhook-Event      the event
+//   X-Webhook-Delivery   the delivery's id, the same on every retry
+//   X-Webhook-Signature  `sha256=` and the hex HMAC-SHA256 of the body,
+//                        keyed with the webhook's secret
+//
+// any 2xx answer counts as delivered. anything else, or no answer within
+// `WEBHOOKS.timeoutMs`, is retried with exponential backoff until
+// `WEBHOOKS.maxAttempts` is reached. every attempt is logged on the
+// delivery. `runServer` starts all this and `closeServer` stops it;
+// deliveries still pending when the server stopped are picked up again
+// on the next start.
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { URL } = require('url');
+
+const { WEBHOOKS } = require('./config');
+const { WEBHOOK_EVENTS, Webhook, WebhookDelivery } = require('./models');
+const { postEvents } = require('./events');
+
+const timers = new Set();
+const inFlight = new Set();
+let listeners = null;
+
+function sign(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// POSTs `body` to `url` and resolves with the response status. rejects
+// when there's no response, or none in time.
+function send(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === 'https:' ? https : http;
+    const request = client.request(target, {
+      method: 'POST',
+      headers: Object.assign({
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body)
+      }, headers),
+      timeout: WEBHOOKS.timeoutMs
+    }, response => {
+      // the response body is of no interest, but has to be read
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('timeout', () => {
+      request.destroy(new Error(`No response within ${WEBHOOKS.timeoutMs}ms`));
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// keeps track of work under way, so that `stopWebhooks` can wait for it
+function track(promise) {
+  const tracked = promise
+    .catch(err => console.error(err))
+    .then(() => inFlight.delete(tracked));
+  inFlight.add(tracked);
+  return tracked;
+}
+
+// the wait before retry number `attempts`: 1, 2, 4, 8… times the base
+function backoff(attempts) {
+  return WEBHOOKS.retryBaseMs * Math.pow(2, attempts - 1);
+}
+
+function scheduleRetry(delivery) {
+  const timer = setTimeout(() => {
+    timers.delete(timer);
+    track(attemptDelivery(delivery._id));
+  }, Math.max(0, delivery.nextAttemptAt - Date.now()));
+  timers.add(timer);
+}
+
+// makes one attempt at a pending delivery, logs it and schedules the
+// next one when it failed and there are attempts left. resolves with the
+// delivery.
+function attemptDelivery(deliveryId) {
+  return WebhookDelivery
+    .findById(deliveryId)
+    .then(delivery => {
+      if (!delivery || delivery.status !== 'pending') {
+        return delivery;
+      }
+      return Webhook
+        .findById(delivery.webhook)
+        .then(webhook => {
+          if (!webhook || !webhook.active) {
+            delivery.status = 'failed';
+            delivery.nextAttemptAt = null;
+            return delivery.save();
+          }
+
+          const started = new Date();
+          return send(webhook.url, {
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Delivery': String(delivery._id),
+            'X-Webhook-Signature': sign(webhook.secret, delivery.body)
+          }, delivery.body)
+            .then(
+              status => ({
+                responseStatus: status,
+                error: status >= 200 && status < 300 ? null : `Responded with ${status}`
+              }),
+              err => ({ responseStatus: null, error: err.message }))
+            .then(({ responseStatus, error }) => {
+              delivery.attempts.push({
+                at: started,
+                responseStatus,
+                error,
+                durationMs: Date.now() - started
+              });
+              if (!error) {
+                delivery.status = 'succeeded';
+                delivery.nextAttemptAt = null;
+              } else if (delivery.attempts.length >= WEBHOOKS.maxAttempts) {
+                delivery.status = 'failed';
+                delivery.nextAttemptAt = null;
+              } else {
+                delivery.nextAttemptAt = new Date(Date.now() + backoff(delivery.attempts.length));
+              }
+              return delivery.save();
+            });
+        })
+        .then(saved => {
+          if (saved.status === 'pending' && listeners) {
+            scheduleRetry(saved);
+          }
+          return saved;
+        });
+    });
+}
+
+// creates a delivery of `event` for every active webhook subscribed to
+// it and makes the first attempt at each
+function deliverEvent(event, post) {
+  const body = JSON.stringify({ event, occurredAt: new Date(), post: post.serialize() });
+  return Webhook
+    .find({ active: true, events: event })
+    .then(webhooks => Promise.all(webhooks.map(webhook => WebhookDelivery
+      .create({ webhook: webhook._id, event, body })
+      .then(delivery => attemptDelivery(delivery._id)))));
+}
+
+function startWebhooks() {
+  stopWebhooks();
+  listeners = {};
+  WEBHOOK_EVENTS.forEach(event => {
+    listeners[event] = post => track(deliverEvent(event, post));
+    postEvents.on(event, listeners[event]);
+  });
+  // retries that were still waiting when the server last stopped
+  return track(WebhookDelivery
+    .find({ status: 'pending', nextAttemptAt: { $ne: null } })
+    .then(deliveries => deliveries.forEach(scheduleRetry)));
+}
+
+// stops listening and cancels pending retries; resolves once the
+// deliveries under way are done
+function stopWebhooks() {
+  if (listeners) {
+    Object.keys(listeners).forEach(event => postEvents.removeListener(event, listeners[event]));
+    listeners = null;
+  }
+  timers.forEach(timer => clearTimeout(timer));
+  timers.clear();
+  return Promise.all(Array.from(inFlight));
+}
+
+module.exports = { sign, deliverEvent, attemptDelivery, startWebhooks, stopWebhooks };
@@ -0,0 +1,102 @@
+'use strict';
+
+const crypto = require('crypto');
+const express = require('express');
+
+const { Webhook, WebhookDelivery } = require('./models');
+const { authorize } = require('./auth');
+const { BadRequestError, NotFoundError } = require('./errors');
+const { validate } = require('./validation');
+
+// subscriptions to post events, see webhooks.js for how they're delivered
+const router = express.Router();
+
+router.use(authorize('webhooks:manage'));
+
+function findWebhook(id) {
+  return Webhook
+    .findById(id)
+    .then(webhook => {
+      if (!webhook) {
+        throw new NotFoundError('Webhook not found');
+      }
+      return webhook;
+    });
+}
+
+router.get('/', validate('GET /webhooks'), (req, res, next) => {
+  Webhook
+    .find()
+    .sort({ created: 1 })
+    .then(webhooks => res.json(webhooks.map(webhook => webhook.serialize())))
+    .catch(next);
+});
+
+router.get('/:id', validate('GET /webhooks/:id'), (req, res, next) => {
+  findWebhook(req.params.id)
+    .then(webhook => res.json(webhook.serialize()))
+    .catch(next);
+});
+
+// the response is the only place the secret is ever shown
+router.post('/', validate('POST /webhooks'), (req, res, next) => {
+  Webhook
+    .create({
+      url: req.body.url,
+      events: req.body.events,
+      secret: req.body.secret || crypto.randomBytes(32).toString('hex'),
+      owner: req.user._id
+    })
+    .then(webhook => res.status(201).json(Object.assign(webhook.serialize(), {
+      secret: webhook.secret
+    })))
+    .catch(next);
+});
+
+router.put('/:id', validate('PUT /webhooks/:id'), (req, res, next) => {
+  if (req.params.id !== req.body.id) {
+    return next(new BadRequestError(
+      'Request path id and request body id values must match'));
+  }
+
+  findWebhook(req.params.id)
+    .then(webhook => {
+      ['url', 'events', 'active'].forEach(field => {
+        if (field in req.body) {
+          webhook[field] = req.body[field];
+        }
+      });
+      return webhook.save();
+    })
+    .then(webhook => res.json(webhook.serialize()))
+    .catch(next);
+});
+
+router.delete('/:id', validate('DELETE /webhooks/:id'), (req, res, next) => {
+  findWebhook(req.params.id)
+    .then(webhook => Promise.all([
+      webhook.remove(),
+      WebhookDelivery.remove({ webhook: webhook._id })
+    ]))
+    .then(() => res.status(204).end())
+    .catch(next);
+});
+
+// the delivery log, newest first. `?status=failed` shows the deliveries
+// that gave up.
+router.get('/:id/deliveries', validate('GET /webhooks/:id/deliveries'), (req, res, next) => {
+  const conditions = { webhook: req.params.id };
+  if (req.query.status) {
+    conditions.status = req.query.status;
+  }
+
+  findWebhook(req.params.id)
+    .then(() => WebhookDelivery
+      .find(conditions)
+      .sort({ created: -1 })
+      .limit(req.query.limit || 20))
+    .then(deliveries => res.json(deliveries.map(delivery => delivery.serialize())))
+    .catch(next);
+});
+
+module.exports = router;